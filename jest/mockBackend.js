@@ -0,0 +1,130 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AxiosError } from "axios";
+import { apiClient } from "../src/api/client";
+import { gmailAuthUrl } from "../src/api/endpoints";
+import { gmailRedirectUri } from "../src/auth/gmailAuth";
+
+// Local stand-in for the attendance backend, installed as the API client's
+// axios adapter. It implements /register, /login, /attendance and the
+// /auth/gmail redirect the app opens in a browser.
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// A JWT the app can read the expiry of; the signature is never checked
+export const makeToken = (systemId, { expiresIn = 3600 } = {}) =>
+  [
+    encode({ alg: "HS256", typ: "JWT" }),
+    encode({ sub: systemId, exp: Math.floor(Date.now() / 1000) + expiresIn }),
+    "signature",
+  ].join(".");
+
+export const SAMPLE_ATTENDANCE = [
+  { subjectCode: "CS101", subjectName: "Programming", total: 20, present: 18 },
+  { subjectCode: "MA102", subjectName: "Calculus", total: 20, present: 13 },
+];
+
+// users: { [systemId]: password }. `attendance` is what /attendance sends
+// back for every user.
+export const installMockBackend = ({
+  users = {},
+  attendance = SAMPLE_ATTENDANCE,
+} = {}) => {
+  const accounts = new Map(Object.entries(users));
+  const sessions = new Map();
+  const requests = [];
+  const originalAdapter = apiClient.defaults.adapter;
+
+  const issueToken = (systemId, options) => {
+    const token = makeToken(systemId, options);
+    sessions.set(token, systemId);
+    return token;
+  };
+
+  const routes = {
+    "POST /register": ({ systemId, password }) => {
+      if (!systemId || !password) {
+        return [400, { message: "System ID and password are required" }];
+      }
+      if (accounts.has(systemId))
+        return [409, { message: "Already registered" }];
+      accounts.set(systemId, password);
+      return [201, { message: "Registered" }];
+    },
+    "POST /login": ({ systemId, password }) =>
+      accounts.get(systemId) === password
+        ? [200, { token: issueToken(systemId) }]
+        : [401, { message: "Invalid credentials" }],
+    "POST /attendance": (body, headers) => {
+      const token = String(headers.Authorization || "").replace(/^Bearer /, "");
+      return sessions.has(token)
+        ? [200, { attendance }]
+        : [401, { message: "Unauthorized" }];
+    },
+    "GET /": () => [200, "OK"],
+  };
+
+  apiClient.defaults.adapter = async (config) => {
+    const path = config.url.replace(config.baseURL || "", "");
+    const body = config.data ? JSON.parse(config.data) : {};
+    const { headers } = config;
+    requests.push({ method: config.method.toUpperCase(), path, body, headers });
+
+    const route = routes[`${config.method.toUpperCase()} ${path}`];
+    const [status, data] = route ? route(body, headers) : [404, "Not found"];
+    const response = { data, status, statusText: "", headers: {}, config };
+    if (config.validateStatus(status)) return response;
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      AxiosError.ERR_BAD_RESPONSE,
+      config,
+      null,
+      response
+    );
+  };
+
+  return {
+    requests,
+    issueToken,
+
+    // Every token issued so far stops working, as after a server-side expiry
+    revokeSessions: () => sessions.clear(),
+
+    // Where the backend's /auth/gmail sends the browser once the user has
+    // signed in: the app's redirect URI with the state and a new token
+    gmailCallback: (authUrl, { error } = {}) => {
+      const { searchParams } = new URL(authUrl);
+      const callback = new URL(searchParams.get("redirectUri"));
+      callback.searchParams.set("state", searchParams.get("state"));
+      if (error) {
+        callback.searchParams.set("error", error);
+      } else {
+        callback.searchParams.set(
+          "token",
+          issueToken(searchParams.get("systemId"))
+        );
+      }
+      return callback.toString();
+    },
+
+    restore: () => {
+      apiClient.defaults.adapter = originalAdapter;
+    },
+  };
+};
+
+// A Gmail sign-in started by an earlier run of the app that was closed
+// while the browser was open. Resolves to the backend's callback for it,
+// which reaches the app as a deep link.
+export const leftoverGmailSignIn = async (backend, systemId, options) => {
+  const state = `leftover-${systemId}`;
+  await AsyncStorage.setItem(
+    "gmailAuthPending",
+    JSON.stringify({ state, systemId, createdAt: Date.now() })
+  );
+  const redirectUri = encodeURIComponent(gmailRedirectUri());
+  return backend.gmailCallback(
+    `${gmailAuthUrl(systemId)}&state=${state}&redirectUri=${redirectUri}`,
+    options
+  );
+};
@@ -0,0 +1,55 @@
+import React from "react";
+import { Text } from "react-native";
+import { act, render } from "@testing-library/react-native";
+import { SafeAreaProvider } from "react-native-safe-area-context";
+import { FeedbackProvider } from "../src/state/FeedbackContext";
+import { SettingsProvider } from "../src/state/SettingsContext";
+import { ThemeProvider } from "../src/theme/ThemeProvider";
+import { SessionProvider, useSession } from "../src/state/SessionContext";
+import { AttendanceProvider } from "../src/state/AttendanceContext";
+import { TimetableProvider } from "../src/state/TimetableContext";
+import FeedbackSnackbars from "../src/components/FeedbackSnackbars";
+
+// Shows the session as "status:systemId" so tests can wait for it
+export const SessionStatus = () => {
+  const { status, systemId } = useSession();
+  return <Text testID='session-status'>{`${status}:${systemId}`}</Text>;
+};
+
+// Renders `ui` inside the same providers as App.js, with the snackbars and
+// the session status next to it
+export const renderWithProviders = (ui) =>
+  render(
+    <SafeAreaProvider>
+      <FeedbackProvider>
+        <SettingsProvider>
+          <ThemeProvider>
+            <SessionProvider>
+              <AttendanceProvider>
+                <TimetableProvider>
+                  {ui}
+                  <SessionStatus />
+                  <FeedbackSnackbars />
+                </TimetableProvider>
+              </AttendanceProvider>
+            </SessionProvider>
+          </ThemeProvider>
+        </SettingsProvider>
+      </FeedbackProvider>
+    </SafeAreaProvider>
+  );
+
+// Renders `ui` with only the settings and theme, for components that do
+// not use the session or attendance. Resolves once the saved settings have
+// loaded.
+export const renderWithTheme = async (ui) => {
+  const result = render(
+    <SafeAreaProvider>
+      <SettingsProvider>
+        <ThemeProvider>{ui}</ThemeProvider>
+      </SettingsProvider>
+    </SafeAreaProvider>
+  );
+  await act(async () => {});
+  return result;
+};
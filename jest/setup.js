@@ -0,0 +1,82 @@
+import "@testing-library/react-native/extend-expect";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as SecureStore from "expo-secure-store";
+
+// Native modules the app talks to, replaced with in-memory versions so the
+// suite runs in plain Node
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+jest.mock(
+  "react-native-safe-area-context",
+  () => require("react-native-safe-area-context/jest/mock").default
+);
+
+// Tests can read and seed entries through SecureStore.__store
+jest.mock("expo-secure-store", () => {
+  const store = new Map();
+  return {
+    __store: store,
+    AFTER_FIRST_UNLOCK: "AFTER_FIRST_UNLOCK",
+    getItemAsync: jest.fn(async (key) => store.get(key) ?? null),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+// The app's own config, as a development build would embed it
+jest.mock("expo-constants", () => {
+  const Constants = jest.requireActual("expo-constants");
+  return {
+    ...Constants,
+    __esModule: true,
+    default: Object.create(Constants.default, {
+      executionEnvironment: { value: Constants.ExecutionEnvironment.Bare },
+      expoConfig: { value: require("../app.json").expo },
+    }),
+  };
+});
+
+// Icon fonts count as loaded, so icons render straight away
+jest.mock("expo-font", () => ({
+  ...jest.requireActual("expo-font"),
+  __esModule: true,
+  isLoaded: () => true,
+  loadAsync: jest.fn(async () => {}),
+}));
+
+jest.mock("expo-localization", () => ({
+  getLocales: () => [{ languageCode: "en", languageTag: "en-US" }],
+}));
+
+jest.mock("expo-web-browser", () => ({
+  maybeCompleteAuthSession: jest.fn(),
+  openAuthSessionAsync: jest.fn(async () => ({ type: "cancel" })),
+}));
+
+jest.mock("expo-crypto", () => {
+  let next = 0;
+  return { randomUUID: () => `state-${++next}` };
+});
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  SecureStore.__store.clear();
+});
+
+// Fake timers keep snackbar timeouts and touchable animations from firing
+// after a test has finished
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,146 @@
+import * as SecureStore from "expo-secure-store";
+import { AxiosError } from "axios";
+import { installMockBackend, makeToken } from "../../../jest/mockBackend";
+import {
+  setAuthToken,
+  setUnauthorizedHandler,
+  getErrorMessage,
+  classifyError,
+} from "../client";
+import { login, register, getAttendance } from "../endpoints";
+import { saveAccount } from "../../storage/secureSession";
+
+let backend;
+
+beforeEach(() => {
+  backend = installMockBackend({ users: { S1: "secret" } });
+});
+
+afterEach(() => {
+  backend.restore();
+  setAuthToken("");
+});
+
+describe("login", () => {
+  it("resolves to the session token", async () => {
+    const token = await login("S1", "secret");
+    expect(token.split(".")).toHaveLength(3);
+    expect(await getAttendance(token)).toHaveLength(2);
+  });
+
+  it("reports wrong credentials apart from connection failures", async () => {
+    const err = await login("S1", "wrong").catch((e) => e);
+    expect(err.response.status).toBe(401);
+    expect(getErrorMessage(err, "fallback")).toBe(
+      "Incorrect System ID or password."
+    );
+  });
+
+  it("does not treat a failed login as an expired session", async () => {
+    const onUnauthorized = jest.fn();
+    const remove = setUnauthorizedHandler(onUnauthorized);
+    await expect(login("S1", "wrong")).rejects.toThrow();
+    expect(onUnauthorized).not.toHaveBeenCalled();
+    remove();
+  });
+});
+
+describe("register", () => {
+  it("creates an account that can then log in", async () => {
+    expect(await register("S2", "pw")).toEqual({ message: "Registered" });
+    await expect(login("S2", "pw")).resolves.toEqual(expect.any(String));
+  });
+
+  it("rejects a system ID that is already registered", async () => {
+    const err = await register("S1", "pw").catch((e) => e);
+    expect(getErrorMessage(err, "fallback")).toBe("Already registered");
+  });
+});
+
+describe("a 401 on an authenticated request", () => {
+  it("clears the stored token and reports the expired session", async () => {
+    const token = await login("S1", "secret");
+    await saveAccount("S1", { token });
+    setAuthToken(token);
+    const onUnauthorized = jest.fn();
+    const remove = setUnauthorizedHandler(onUnauthorized);
+
+    backend.revokeSessions();
+    const err = await getAttendance().catch((e) => e);
+
+    expect(err.sessionExpired).toBe(true);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(SecureStore.__store.has("jwtToken_S1")).toBe(false);
+    remove();
+  });
+
+  it("signs out only the account whose token was rejected", async () => {
+    await register("S2", "other");
+    const first = await login("S1", "secret");
+    await saveAccount("S1", { token: first });
+    const second = await login("S2", "other");
+    await saveAccount("S2", { token: second });
+    setAuthToken(second);
+    const onUnauthorized = jest.fn();
+    const remove = setUnauthorizedHandler(onUnauthorized);
+
+    backend.revokeSessions();
+    await getAttendance(first).catch((e) => e);
+
+    expect(onUnauthorized).toHaveBeenCalledWith(expect.any(Error), {
+      token: first,
+      systemId: "S1",
+    });
+    expect(SecureStore.__store.has("jwtToken_S1")).toBe(false);
+    expect(SecureStore.__store.get("jwtToken_S2")).toBe(second);
+    remove();
+  });
+
+  it("is not sent when the token has already expired", async () => {
+    const onUnauthorized = jest.fn();
+    const remove = setUnauthorizedHandler(onUnauthorized);
+
+    const expired = makeToken("S1", { expiresIn: -60 });
+    const err = await getAttendance(expired).catch((e) => e);
+
+    expect(err.sessionExpired).toBe(true);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(backend.requests).toHaveLength(0);
+    remove();
+  });
+});
+
+describe("getErrorMessage", () => {
+  // An error like the one axios rejects with
+  const failure = ({ url = "/attendance", status, data, code } = {}) =>
+    new AxiosError(
+      "Request failed",
+      code,
+      { url },
+      null,
+      status && { status, data }
+    );
+
+  it("gives connection, timeout and server failures their own messages", () => {
+    expect(getErrorMessage(failure({ code: "ERR_NETWORK" }), "x")).toBe(
+      "Can't reach the server. Check your internet connection."
+    );
+    expect(getErrorMessage(failure({ code: "ECONNABORTED" }), "x")).toMatch(
+      /took too long/
+    );
+    expect(getErrorMessage(failure({ status: 502 }), "x")).toBe(
+      "The server ran into a problem. Please try again shortly."
+    );
+  });
+
+  it("keeps the backend's message for a 401 or 403 outside /login", () => {
+    const forbidden = failure({
+      url: "/register",
+      status: 403,
+      data: { message: "Registration is closed" },
+    });
+    expect(classifyError(forbidden)).toBe("client");
+    expect(getErrorMessage(forbidden, "x")).toBe("Registration is closed");
+    expect(getErrorMessage(failure({ status: 401 }), "x")).toBe("x");
+  });
+});
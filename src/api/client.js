@@ -0,0 +1,193 @@
+import axios from "axios";
+import {
+  API_URL,
+  REQUEST_TIMEOUT_MS,
+  RETRY_ATTEMPT_TIMEOUT_MS,
+  RETRY_BUDGET_MS,
+} from "../config";
+import { getServerStatus, setServerStatus } from "./serverStatus";
+import { signOutToken } from "../storage/secureSession";
+import { isTokenExpired } from "../auth/jwt";
+import { AttendanceFormatError } from "../lib/subjects";
+import { getDemoAdapter } from "../demo/demoMode";
+import { t } from "../i18n";
+
+// Retries for requests made with `retry: true`, i.e. idempotent calls. They
+// also stop early once RETRY_BUDGET_MS has passed since the first attempt.
+export const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// A request still running after this long probably hit a sleeping instance
+const WAKING_AFTER_MS = 5000;
+
+let authToken = "";
+let unauthorizedHandler = null;
+
+export const apiClient = axios.create({
+  baseURL: API_URL,
+  timeout: REQUEST_TIMEOUT_MS,
+});
+
+// Token sent with every request that does not set its own Authorization
+export const setAuthToken = (token) => {
+  authToken = token || "";
+};
+
+// Called after a 401 on an authenticated request, once the stored session
+// has been cleared, with the error and { token, systemId } of the rejected
+// session. Returns a function that removes the handler.
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+};
+
+// Sorts a failed request into "network", "timeout", "server" (5xx),
+// "credentials" (401/403 from /login), "client" (any other 4xx) or
+// "format" (a response the app could not read)
+export const classifyError = (err) => {
+  if (err instanceof AttendanceFormatError) return "format";
+  const status = err?.response?.status;
+  if ((status === 401 || status === 403) && err.config?.url === "/login") {
+    return "credentials";
+  }
+  if (status >= 500) return "server";
+  if (status) return "client";
+  if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT") {
+    return "timeout";
+  }
+  return "network";
+};
+
+const isRetryable = (err) =>
+  ["network", "timeout", "server"].includes(classifyError(err));
+
+// 1s, 2s, 4s, ... with some jitter so retries do not line up
+export const backoffDelay = (attempt) =>
+  RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const clearWakingTimer = (config) => {
+  if (config?.wakingTimer) clearTimeout(config.wakingTimer);
+};
+
+// Token a request was sent with, if any
+const requestToken = (config) =>
+  String(config?.headers?.Authorization || "").replace(/^Bearer /, "");
+
+// Signs out the account the rejected token belongs to and tells the app,
+// marking the error so callers know not to report it again
+const expireSession = async (err, token) => {
+  err.sessionExpired = true;
+  if (authToken === token) authToken = "";
+  let systemId = null;
+  try {
+    systemId = await signOutToken(token);
+  } catch (storageErr) {
+    console.error("Error clearing session:", storageErr);
+  }
+  if (unauthorizedHandler) unauthorizedHandler(err, { token, systemId });
+};
+
+apiClient.interceptors.request.use(async (config) => {
+  if (authToken && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${authToken}`;
+  }
+
+  // Don't send a token we already know has expired
+  const token = requestToken(config);
+  if (token && isTokenExpired(token)) {
+    const err = new Error("Session expired");
+    err.config = config;
+    await expireSession(err, token);
+    throw err;
+  }
+
+  if (config.retry) {
+    config.timeout = RETRY_ATTEMPT_TIMEOUT_MS;
+    config.retryStartedAt = config.retryStartedAt ?? Date.now();
+  }
+
+  // Demo mode answers from bundled fixtures instead of the backend
+  const demoAdapter = await getDemoAdapter();
+  if (demoAdapter) config.adapter = demoAdapter;
+
+  clearWakingTimer(config);
+  config.wakingTimer = setTimeout(() => {
+    if (getServerStatus() !== "online") setServerStatus("waking");
+  }, WAKING_AFTER_MS);
+  return config;
+});
+
+apiClient.interceptors.response.use(
+  (response) => {
+    clearWakingTimer(response.config);
+    setServerStatus("online");
+    return response;
+  },
+  async (err) => {
+    // Rejected before sending because the token had already expired
+    if (err.sessionExpired) return Promise.reject(err);
+
+    const { config } = err;
+    clearWakingTimer(config);
+
+    if (config?.retry && isRetryable(err)) {
+      config.retryCount = (config.retryCount || 0) + 1;
+      const delay = backoffDelay(config.retryCount);
+      const elapsed = Date.now() - config.retryStartedAt;
+      if (
+        config.retryCount <= MAX_RETRIES &&
+        elapsed + delay < RETRY_BUDGET_MS
+      ) {
+        setServerStatus("waking");
+        await wait(delay);
+        return apiClient(config);
+      }
+    }
+
+    // Any HTTP response, even an error, means the server is up
+    setServerStatus(err.response ? "online" : "unreachable");
+
+    // A 401 from /login or /register means bad credentials, not an
+    // expired session, so only requests that sent a token are handled here
+    const token = requestToken(config);
+    if (err.response?.status === 401 && token) {
+      await expireSession(err, token);
+    }
+    return Promise.reject(err);
+  }
+);
+
+// Kinds of failure that get a message of their own (see errors.* in the
+// catalogs)
+const OWN_MESSAGE_KINDS = ["network", "timeout", "server", "credentials"];
+
+// Message to show for a failed request. Connection problems, 5xx and a
+// rejected login get a message of their own; for other errors the
+// backend's message is used when it sent one, otherwise the caller's
+// fallback.
+export const getErrorMessage = (err, fallback) => {
+  const kind = classifyError(err);
+  if (kind === "format") return err.message;
+  if (OWN_MESSAGE_KINDS.includes(kind)) return t(`errors.${kind}`);
+
+  const data = err?.response?.data;
+  if (typeof data?.message === "string" && data.message) return data.message;
+  if (typeof data === "string" && data) return data;
+  return fallback;
+};
+
+// Light request that wakes a sleeping instance and updates the server
+// status. Any HTTP response counts as the server being up.
+export const warmUpServer = async () => {
+  setServerStatus("waking");
+  try {
+    await apiClient.get("/", { retry: true, validateStatus: () => true });
+  } catch (err) {
+    console.error("Server warm-up failed:", err.message);
+  }
+  return getServerStatus();
+};
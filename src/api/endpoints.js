@@ -0,0 +1,33 @@
+import { apiClient } from "./client";
+import { API_URL } from "../config";
+import { extractAttendanceRows } from "../lib/subjects";
+
+export const register = async (systemId, password) => {
+  const response = await apiClient.post("/register", { systemId, password });
+  return response.data;
+};
+
+// Resolves to the session token
+export const login = async (systemId, password) => {
+  const response = await apiClient.post("/login", { systemId, password });
+  return response.data.token;
+};
+
+// Pass a token to override the shared one (e.g. from the background task,
+// where no session has been set up in memory). Only reads data, so it is
+// safe to retry. Resolves to the raw rows; throws AttendanceFormatError if
+// the body has no recognisable attendance list.
+export const getAttendance = async (token) => {
+  const response = await apiClient.post(
+    "/attendance",
+    {},
+    {
+      retry: true,
+      ...(token && { headers: { Authorization: `Bearer ${token}` } }),
+    }
+  );
+  return extractAttendanceRows(response.data);
+};
+
+export const gmailAuthUrl = (systemId) =>
+  `${API_URL}/auth/gmail?systemId=${encodeURIComponent(systemId)}`;
@@ -0,0 +1,17 @@
+// Last known state of the backend: "unknown", "waking", "online" or
+// "unreachable". Updated by the API client as responses come in.
+let status = "unknown";
+const listeners = new Set();
+
+export const getServerStatus = () => status;
+
+export const setServerStatus = (next) => {
+  if (next === status) return;
+  status = next;
+  listeners.forEach((listener) => listener(status));
+};
+
+export const subscribeServerStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
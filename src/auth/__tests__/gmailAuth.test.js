@@ -0,0 +1,97 @@
+import * as WebBrowser from "expo-web-browser";
+import {
+  installMockBackend,
+  leftoverGmailSignIn,
+} from "../../../jest/mockBackend";
+import {
+  startGmailAuth,
+  handleGmailDeepLink,
+  STATE_TTL_MS,
+} from "../gmailAuth";
+
+let backend;
+
+beforeEach(() => {
+  backend = installMockBackend();
+});
+
+afterEach(() => {
+  backend.restore();
+});
+
+describe("startGmailAuth", () => {
+  it("returns the token the auth session redirects back with", async () => {
+    WebBrowser.openAuthSessionAsync.mockImplementationOnce(async (url) => ({
+      type: "success",
+      url: backend.gmailCallback(url),
+    }));
+
+    const outcome = await startGmailAuth("S1");
+    expect(outcome).toEqual({
+      type: "success",
+      systemId: "S1",
+      token: expect.any(String),
+    });
+  });
+
+  it("reports a cancelled browser", async () => {
+    expect(await startGmailAuth("S1")).toEqual({ type: "cancel" });
+  });
+});
+
+describe("handleGmailDeepLink", () => {
+  it("accepts the callback of a sign-in this app started", async () => {
+    const url = await leftoverGmailSignIn(backend, "S1");
+    const outcome = await handleGmailDeepLink(url);
+    expect(outcome).toMatchObject({ type: "success", systemId: "S1" });
+  });
+
+  it("accepts a callback only once", async () => {
+    const url = await leftoverGmailSignIn(backend, "S1");
+    await handleGmailDeepLink(url);
+    expect(await handleGmailDeepLink(url)).toMatchObject({ type: "failure" });
+  });
+
+  it("rejects a callback with someone else's state", async () => {
+    await leftoverGmailSignIn(backend, "S1");
+    const outcome = await handleGmailDeepLink(
+      "myattendanceapp://auth/gmail?state=planted&token=abc"
+    );
+    expect(outcome).toEqual({
+      type: "failure",
+      message: "Gmail sign-in could not be verified. Please try again.",
+    });
+  });
+
+  it("keeps the sign-in in progress when a planted link arrives", async () => {
+    const url = await leftoverGmailSignIn(backend, "S1");
+    await handleGmailDeepLink("myattendanceapp://auth/gmail?state=planted");
+    expect(await handleGmailDeepLink(url)).toMatchObject({
+      type: "success",
+      systemId: "S1",
+    });
+  });
+
+  it("rejects a callback that comes back too late", async () => {
+    const url = await leftoverGmailSignIn(backend, "S1");
+    jest.spyOn(Date, "now").mockReturnValue(Date.now() + STATE_TTL_MS + 1);
+    expect(await handleGmailDeepLink(url)).toMatchObject({
+      type: "failure",
+      message: "Gmail sign-in took too long. Please try again.",
+    });
+  });
+
+  it("passes on an error from the backend", async () => {
+    const url = await leftoverGmailSignIn(backend, "S1", {
+      error: "access_denied",
+    });
+    expect(await handleGmailDeepLink(url)).toEqual({
+      type: "failure",
+      message: "Gmail sign-in failed: access_denied",
+    });
+  });
+
+  it("ignores links that are not the Gmail callback", async () => {
+    expect(await handleGmailDeepLink("myattendanceapp://dashboard")).toBe(null);
+  });
+});
@@ -0,0 +1,57 @@
+import { sessionReducer, initialSessionState } from "../sessionMachine";
+
+const run = (events, state = initialSessionState) =>
+  events.reduce(sessionReducer, state);
+
+const restoredSignedOut = run([
+  { type: "restored", systemId: "S1", accounts: initialSessionState.accounts },
+]);
+
+describe("sessionReducer", () => {
+  it("restores to the status the stored session implies", () => {
+    const restored = (event) =>
+      run([{ type: "restored", accounts: [], ...event }]).status;
+    expect(restored({ token: "t" })).toBe("authenticated");
+    expect(restored({ expired: true })).toBe("expired");
+    expect(restored({})).toBe("unauthenticated");
+  });
+
+  it("ignores a sign-in that arrives before the restore", () => {
+    const state = run([{ type: "signedIn", systemId: "S2", token: "t" }]);
+    expect(state).toBe(initialSessionState);
+  });
+
+  it("goes through authenticating on a login", () => {
+    const started = run([{ type: "loginStarted" }], restoredSignedOut);
+    expect(started.status).toBe("authenticating");
+
+    const failed = run([{ type: "failed" }], started);
+    expect(failed).toMatchObject({ status: "unauthenticated", systemId: "S1" });
+
+    const signedIn = run(
+      [{ type: "signedIn", systemId: "S1", token: "t" }],
+      started
+    );
+    expect(signedIn).toMatchObject({ status: "authenticated", token: "t" });
+  });
+
+  it("only expires an authenticated session", () => {
+    expect(run([{ type: "expired" }], restoredSignedOut)).toBe(
+      restoredSignedOut
+    );
+
+    const expired = run(
+      [{ type: "signedIn", systemId: "S1", token: "t" }, { type: "expired" }],
+      restoredSignedOut
+    );
+    expect(expired).toMatchObject({ status: "expired", token: "" });
+    expect(run([{ type: "gmailStarted" }], expired).status).toBe(
+      "linkingGmail"
+    );
+  });
+
+  it("does not start a login while linking Gmail", () => {
+    const linking = run([{ type: "gmailStarted" }], restoredSignedOut);
+    expect(run([{ type: "loginStarted" }], linking)).toBe(linking);
+  });
+});
@@ -0,0 +1,137 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as AuthSession from "expo-auth-session";
+import * as WebBrowser from "expo-web-browser";
+import * as Crypto from "expo-crypto";
+import * as Linking from "expo-linking";
+import { APP_SCHEME } from "../config";
+import { gmailAuthUrl } from "../api/endpoints";
+import { t } from "../i18n";
+
+export const GMAIL_CALLBACK_PATH = "auth/gmail";
+const PENDING_KEY = "gmailAuthPending";
+
+// A started sign-in must come back within this window
+export const STATE_TTL_MS = 10 * 60 * 1000;
+
+let sessionInProgress = false;
+
+// Closes the auth browser on web once the redirect lands
+WebBrowser.maybeCompleteAuthSession();
+
+export const gmailRedirectUri = () =>
+  AuthSession.makeRedirectUri({
+    scheme: APP_SCHEME,
+    path: GMAIL_CALLBACK_PATH,
+  });
+
+// Returns { state, token, error } when the URL is our Gmail callback,
+// otherwise null
+export const parseGmailCallback = (url) => {
+  if (!url) return null;
+
+  const { hostname, path, queryParams } = Linking.parse(url);
+  const route = [hostname, path].filter(Boolean).join("/");
+  if (route !== GMAIL_CALLBACK_PATH && path !== GMAIL_CALLBACK_PATH) {
+    return null;
+  }
+
+  return {
+    state: queryParams?.state || null,
+    token: queryParams?.token || null,
+    error: queryParams?.error || null,
+  };
+};
+
+// Checks a parsed callback against the sign-in we started. Outcomes are
+// { type: "success", token, systemId } or { type: "failure", message }.
+export const verifyGmailCallback = (callback, pending, now = Date.now()) => {
+  if (!pending || !callback.state || callback.state !== pending.state) {
+    return {
+      type: "failure",
+      message: t("gmail.unverified"),
+    };
+  }
+  if (now - pending.createdAt > STATE_TTL_MS) {
+    return {
+      type: "failure",
+      message: t("gmail.timedOut"),
+    };
+  }
+  if (callback.error || !callback.token) {
+    return {
+      type: "failure",
+      message: callback.error
+        ? t("gmail.failed", { error: callback.error })
+        : t("gmail.noSession"),
+    };
+  }
+  return { type: "success", token: callback.token, systemId: pending.systemId };
+};
+
+const loadPending = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(PENDING_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error("Error loading pending Gmail sign-in:", err);
+    return null;
+  }
+};
+
+// Handles a URL that reached the app (through the auth session or a deep
+// link). Returns null if the URL is not a Gmail callback; otherwise the
+// outcome. The stored state is single-use, so a replayed or planted link
+// is rejected. A link with some other state leaves the pending sign-in in
+// place, so it cannot cancel the real callback that is still to come.
+export const handleGmailRedirect = async (url) => {
+  const callback = parseGmailCallback(url);
+  if (!callback) return null;
+
+  const now = Date.now();
+  const pending = await loadPending();
+  const matches = Boolean(callback.state) && callback.state === pending?.state;
+  const expired = pending && now - pending.createdAt > STATE_TTL_MS;
+  if (matches || expired) await AsyncStorage.removeItem(PENDING_KEY);
+  return verifyGmailCallback(callback, pending, now);
+};
+
+// Runs the whole Gmail sign-in in an auth session. Resolves to a success
+// or failure outcome (see verifyGmailCallback) or { type: "cancel" }.
+export const startGmailAuth = async (systemId) => {
+  const state = Crypto.randomUUID();
+  const redirectUri = gmailRedirectUri();
+  await AsyncStorage.setItem(
+    PENDING_KEY,
+    JSON.stringify({ state, systemId, createdAt: Date.now() })
+  );
+
+  const authUrl =
+    `${gmailAuthUrl(systemId)}&state=${encodeURIComponent(state)}` +
+    `&redirectUri=${encodeURIComponent(redirectUri)}`;
+  let result;
+  sessionInProgress = true;
+  try {
+    result = await WebBrowser.openAuthSessionAsync(authUrl, redirectUri);
+  } finally {
+    sessionInProgress = false;
+  }
+
+  if (result.type === "success") {
+    return (
+      (await handleGmailRedirect(result.url)) || {
+        type: "failure",
+        message: t("gmail.unexpectedAddress"),
+      }
+    );
+  }
+
+  await AsyncStorage.removeItem(PENDING_KEY);
+  return { type: "cancel" };
+};
+
+// For URLs delivered through Linking. While an auth session is open its
+// redirect is handled by startGmailAuth, so it is skipped here (null).
+export const handleGmailDeepLink = async (url) => {
+  if (sessionInProgress && parseGmailCallback(url)) return null;
+  return handleGmailRedirect(url);
+};
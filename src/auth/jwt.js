@@ -0,0 +1,50 @@
+import { t } from "../i18n";
+
+// Reads claims from a JWT without verifying it; only used to know when the
+// session will run out, never to trust its contents.
+export const decodeJwtPayload = (token) => {
+  try {
+    const payload = token.split(".")[1];
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, "=");
+    return JSON.parse(atob(padded));
+  } catch (err) {
+    return null;
+  }
+};
+
+// Expiry time in ms, or null when the token has no usable `exp` claim
+export const getTokenExpiry = (token) => {
+  const exp = token ? decodeJwtPayload(token)?.exp : null;
+  return typeof exp === "number" ? exp * 1000 : null;
+};
+
+// Tokens without an `exp` claim are treated as never expiring
+export const isTokenExpired = (token, now = Date.now()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= now;
+};
+
+// "2 days", "3 h 5 min", "12 min", "less than a minute"
+export const formatDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return t("duration.underMinute");
+  if (minutes < 60) return t("duration.minutes", { minutes });
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) {
+    const rest = minutes % 60;
+    return rest
+      ? t("duration.hoursMinutes", { hours, minutes: rest })
+      : t("duration.hours", { hours });
+  }
+  return t("duration.days", { count: Math.floor(hours / 24) });
+};
+
+// How long before expiry the user is asked to log in again
+export const EXPIRY_WARNING_MS = 15 * 60 * 1000;
+
+export const isTokenExpiringSoon = (token, now = Date.now()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - now <= EXPIRY_WARNING_MS;
+};
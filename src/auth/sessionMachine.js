@@ -0,0 +1,111 @@
+// The session as a state machine. `status` is one of SESSION_STATUSES and
+// only changes through the transitions below; an event the current status
+// does not accept is ignored, so a late restore or a stale 401 cannot undo
+// a newer sign-in.
+//
+//   restoring ──restored──▶ authenticated | expired | unauthenticated
+//   unauthenticated, expired ──loginStarted──▶ authenticating
+//                            ──gmailStarted──▶ linkingGmail
+//   authenticating, linkingGmail ──failed──▶ unauthenticated
+//   authenticated ──signedOut──▶ unauthenticated, ──expired──▶ expired
+//
+// `signedIn` (a login, a Gmail callback or switching to a signed-in
+// account) leads to authenticated from any status but restoring, and
+// `selected` (a signed-out account or an empty form) to unauthenticated.
+
+export const SESSION_STATUSES = [
+  "restoring",
+  "unauthenticated",
+  "authenticating",
+  "authenticated",
+  "expired",
+  "linkingGmail",
+];
+
+const SIGNED_OUT = {
+  loginStarted: "authenticating",
+  gmailStarted: "linkingGmail",
+  signedIn: "authenticated",
+  selected: "unauthenticated",
+};
+
+const IN_PROGRESS = {
+  signedIn: "authenticated",
+  selected: "unauthenticated",
+  failed: "unauthenticated",
+};
+
+const TRANSITIONS = {
+  restoring: {
+    restored: (event) =>
+      event.token
+        ? "authenticated"
+        : event.expired
+        ? "expired"
+        : "unauthenticated",
+  },
+  unauthenticated: SIGNED_OUT,
+  expired: SIGNED_OUT,
+  authenticating: IN_PROGRESS,
+  linkingGmail: IN_PROGRESS,
+  authenticated: {
+    signedIn: "authenticated",
+    selected: "unauthenticated",
+    signedOut: "unauthenticated",
+    expired: "expired",
+  },
+};
+
+export const initialSessionState = {
+  status: "restoring",
+  systemId: "",
+  token: "",
+  accounts: { activeId: null, accounts: [] },
+};
+
+// Status the event leads to, or null when it is not allowed
+export const nextStatus = (status, event) => {
+  const next = TRANSITIONS[status]?.[event.type];
+  return typeof next === "function" ? next(event) : next || null;
+};
+
+// `systemId` is the active account (or the ID the login form should start
+// with) and `token` is only set while authenticated
+export const sessionReducer = (state, event) => {
+  // The saved account list can change in any status once restored
+  if (event.type === "accounts") {
+    return state.status === "restoring"
+      ? state
+      : { ...state, accounts: event.accounts };
+  }
+
+  const status = nextStatus(state.status, event);
+  if (!status) return state;
+
+  switch (event.type) {
+    case "restored":
+      return {
+        status,
+        systemId: event.systemId || "",
+        token: event.token || "",
+        accounts: event.accounts,
+      };
+    case "signedIn":
+      return {
+        ...state,
+        status,
+        systemId: event.systemId,
+        token: event.token,
+        accounts: event.accounts || state.accounts,
+      };
+    case "selected":
+      return { ...state, status, systemId: event.systemId, token: "" };
+    // Keep the system ID so the login form is ready
+    case "signedOut":
+    case "expired":
+    case "failed":
+      return { ...state, status, token: "" };
+    default:
+      return { ...state, status };
+  }
+};
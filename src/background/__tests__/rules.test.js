@@ -0,0 +1,131 @@
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  mergeNotificationSettings,
+  isQuietTime,
+  deliveryTime,
+  findLowAttendance,
+  evaluateRules,
+} from "../rules";
+
+const row = (subjectCode, total, present) => ({
+  subjectCode,
+  subjectName: subjectCode,
+  total,
+  present,
+});
+
+const at = (hour, minute = 0) => new Date(2026, 2, 10, hour, minute);
+
+const overnight = { enabled: true, start: 22, end: 7 };
+const daytime = { enabled: true, start: 9, end: 17 };
+
+describe("isQuietTime", () => {
+  it("wraps quiet hours past midnight", () => {
+    expect(isQuietTime(at(21, 59), overnight)).toBe(false);
+    expect(isQuietTime(at(22), overnight)).toBe(true);
+    expect(isQuietTime(at(0, 30), overnight)).toBe(true);
+    expect(isQuietTime(at(6, 59), overnight)).toBe(true);
+    expect(isQuietTime(at(7), overnight)).toBe(false);
+  });
+
+  it("handles a window within one day", () => {
+    expect(isQuietTime(at(8), daytime)).toBe(false);
+    expect(isQuietTime(at(9), daytime)).toBe(true);
+    expect(isQuietTime(at(16, 59), daytime)).toBe(true);
+    expect(isQuietTime(at(17), daytime)).toBe(false);
+  });
+
+  it("is never quiet when disabled or empty", () => {
+    expect(isQuietTime(at(23), { ...overnight, enabled: false })).toBe(false);
+    expect(isQuietTime(at(5), { enabled: true, start: 5, end: 5 })).toBe(false);
+    expect(isQuietTime(at(23), undefined)).toBe(false);
+  });
+});
+
+describe("deliveryTime", () => {
+  it("delivers right away outside quiet hours", () => {
+    expect(deliveryTime(at(12), overnight)).toBeNull();
+  });
+
+  it("holds a late-evening notification until the next morning", () => {
+    expect(deliveryTime(at(23, 15), overnight)).toEqual(
+      new Date(2026, 2, 11, 7)
+    );
+  });
+
+  it("holds an after-midnight notification until the same morning", () => {
+    expect(deliveryTime(at(2), overnight)).toEqual(new Date(2026, 2, 10, 7));
+  });
+});
+
+describe("findLowAttendance", () => {
+  it("reports subjects below the threshold on the first fetch", () => {
+    const low = findLowAttendance(
+      null,
+      [row("CS101", 20, 18), row("MA102", 20, 14)],
+      75
+    );
+    expect(low).toEqual([{ name: "MA102", percentage: 70 }]);
+  });
+
+  it("reports a subject only when it crosses the threshold", () => {
+    const previous = [row("CS101", 20, 16), row("MA102", 20, 14)];
+    const next = [row("CS101", 21, 16), row("MA102", 21, 14)];
+    // CS101 drops from 80% to 76.2%, MA102 was already below
+    expect(findLowAttendance(previous, next, 75)).toEqual([]);
+
+    const dropped = [row("CS101", 22, 16), row("MA102", 22, 14)];
+    expect(findLowAttendance(next, dropped, 75)).toEqual([
+      { name: "CS101", percentage: (16 / 22) * 100 },
+    ]);
+  });
+
+  it("treats a percentage equal to the threshold as not low", () => {
+    expect(findLowAttendance(null, [row("CS101", 20, 15)], 75)).toEqual([]);
+    expect(findLowAttendance(null, [row("CS101", 20, 15)], 76)).toHaveLength(1);
+  });
+});
+
+describe("evaluateRules", () => {
+  const settings = mergeNotificationSettings({});
+
+  it("raises one low-attendance notification for several subjects", () => {
+    const notifications = evaluateRules(
+      null,
+      [row("CS101", 20, 10), row("MA102", 20, 12)],
+      settings
+    );
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({
+      type: "lowAttendance",
+      title: "Low attendance in 2 subjects",
+    });
+    expect(notifications[0].body.split("\n")).toHaveLength(2);
+  });
+
+  it("raises an absence notification when classes were missed", () => {
+    const notifications = evaluateRules(
+      [row("CS101", 20, 18)],
+      [row("CS101", 21, 18)],
+      settings
+    );
+    expect(notifications.map(({ type }) => type)).toEqual(["newAbsence"]);
+  });
+
+  it("skips absences on the first fetch", () => {
+    expect(evaluateRules(null, [row("CS101", 20, 18)], settings)).toEqual([]);
+  });
+
+  it("honours disabled rules", () => {
+    const off = mergeNotificationSettings({
+      lowAttendance: { enabled: false },
+      newAbsence: { enabled: false },
+    });
+    expect(off.lowAttendance.threshold).toBe(
+      DEFAULT_NOTIFICATION_SETTINGS.lowAttendance.threshold
+    );
+    expect(
+      evaluateRules([row("CS101", 20, 15)], [row("CS101", 21, 15)], off)
+    ).toEqual([]);
+  });
+});
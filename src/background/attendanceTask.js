@@ -0,0 +1,102 @@
+import * as TaskManager from "expo-task-manager";
+import * as BackgroundFetch from "expo-background-fetch";
+import * as Notifications from "expo-notifications";
+import { getSetting, setSetting } from "../storage/settings";
+import { refreshStoredAttendance } from "./refreshAttendance";
+import {
+  mergeNotificationSettings,
+  evaluateRules,
+  deliveryTime,
+} from "./rules";
+import { getLanguage, setLanguage } from "../i18n";
+
+export const ATTENDANCE_TASK = "attendance-background-refresh";
+
+// The OS treats this as a lower bound and may run the task less often
+const REFRESH_INTERVAL_SECONDS = 60 * 60;
+
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+export const loadNotificationSettings = async () =>
+  mergeNotificationSettings(await getSetting("notifications", {}));
+
+export const deliverNotifications = async (notifications, quietHours) => {
+  const deliverAt = deliveryTime(new Date(), quietHours);
+
+  for (const { type, title, body } of notifications) {
+    await Notifications.scheduleNotificationAsync({
+      content: { title, body, data: { type } },
+      trigger: deliverAt
+        ? {
+            type: Notifications.SchedulableTriggerInputTypes.DATE,
+            date: deliverAt,
+          }
+        : null,
+    });
+  }
+};
+
+// Task bodies must be defined at module scope so the OS can run them
+// without the UI being mounted
+TaskManager.defineTask(ATTENDANCE_TASK, async () => {
+  try {
+    // The app may not be running, so notifications need the saved language
+    setLanguage(await getSetting("language", getLanguage()));
+    const settings = await loadNotificationSettings();
+    if (!settings.backgroundRefresh) {
+      return BackgroundFetch.BackgroundFetchResult.NoData;
+    }
+
+    const result = await refreshStoredAttendance();
+    if (!result) return BackgroundFetch.BackgroundFetchResult.NoData;
+
+    const notifications = evaluateRules(
+      result.previous?.attendance,
+      result.records,
+      settings
+    );
+    await deliverNotifications(notifications, settings.quietHours);
+    return BackgroundFetch.BackgroundFetchResult.NewData;
+  } catch (err) {
+    console.error("Background attendance refresh failed:", err);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+const ensureNotificationPermission = async () => {
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+};
+
+// Saves the settings and registers/unregisters the background task to
+// match. Returns the settings actually applied (background refresh is
+// turned back off if notification permission is refused).
+export const applyNotificationSettings = async (settings) => {
+  let applied = settings;
+  if (settings.backgroundRefresh && !(await ensureNotificationPermission())) {
+    applied = { ...settings, backgroundRefresh: false };
+  }
+
+  await setSetting("notifications", applied);
+
+  const registered = await TaskManager.isTaskRegisteredAsync(ATTENDANCE_TASK);
+  if (applied.backgroundRefresh && !registered) {
+    await BackgroundFetch.registerTaskAsync(ATTENDANCE_TASK, {
+      minimumInterval: REFRESH_INTERVAL_SECONDS,
+      stopOnTerminate: false,
+      startOnBoot: true,
+    });
+  } else if (!applied.backgroundRefresh && registered) {
+    await BackgroundFetch.unregisterTaskAsync(ATTENDANCE_TASK);
+  }
+
+  return applied;
+};
@@ -0,0 +1,29 @@
+import { getAttendance } from "../api/endpoints";
+import {
+  loadCachedAttendance,
+  saveCachedAttendance,
+} from "../storage/attendanceCache";
+import { appendSnapshot } from "../storage/attendanceHistory";
+import { loadSession } from "../storage/secureSession";
+
+// Saves a successful fetch to the cache and history. Returns the previous
+// cache entry (or null), the new entry and the updated history.
+export const persistFetch = async (systemId, records) => {
+  const previous = await loadCachedAttendance(systemId);
+  const entry = await saveCachedAttendance(systemId, records);
+  const history = await appendSnapshot(systemId, records, entry.fetchedAt);
+  return { previous, entry, history };
+};
+
+// Refreshes attendance for the stored session. Returns null when nobody is
+// logged in, otherwise { records, previous, entry, history }.
+export const refreshStoredAttendance = async ({
+  fetchRecords = getAttendance,
+} = {}) => {
+  const { token, systemId } = await loadSession();
+  if (!token) return null;
+
+  const records = await fetchRecords(token);
+  const saved = await persistFetch(systemId, records);
+  return { records, ...saved };
+};
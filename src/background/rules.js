@@ -0,0 +1,134 @@
+import { normalizeAttendance } from "../lib/subjects";
+import { diffAttendance, describeChange } from "../lib/attendanceDiff";
+import { t, formatPercent } from "../i18n";
+
+// Pure notification rules for background refreshes. Nothing in here talks
+// to the network, storage or the notification APIs.
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  backgroundRefresh: false,
+  lowAttendance: { enabled: true, threshold: 75 },
+  newAbsence: { enabled: true },
+  quietHours: { enabled: true, start: 22, end: 7 },
+};
+
+// Fills in any keys missing from settings saved by an older version
+export const mergeNotificationSettings = (saved) => ({
+  ...DEFAULT_NOTIFICATION_SETTINGS,
+  ...saved,
+  lowAttendance: {
+    ...DEFAULT_NOTIFICATION_SETTINGS.lowAttendance,
+    ...saved?.lowAttendance,
+  },
+  newAbsence: {
+    ...DEFAULT_NOTIFICATION_SETTINGS.newAbsence,
+    ...saved?.newAbsence,
+  },
+  quietHours: {
+    ...DEFAULT_NOTIFICATION_SETTINGS.quietHours,
+    ...saved?.quietHours,
+  },
+});
+
+// Quiet hours are whole hours (0-23) and may wrap past midnight
+export const isQuietTime = (date, quietHours) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) {
+    return false;
+  }
+
+  const hour = date.getHours();
+  return quietHours.start < quietHours.end
+    ? hour >= quietHours.start && hour < quietHours.end
+    : hour >= quietHours.start || hour < quietHours.end;
+};
+
+// When a notification raised at `now` should be shown: null for right away,
+// otherwise the end of the current quiet-hours window
+export const deliveryTime = (now, quietHours) => {
+  if (!isQuietTime(now, quietHours)) return null;
+
+  const end = new Date(now);
+  end.setHours(quietHours.end, 0, 0, 0);
+  if (end <= now) end.setDate(end.getDate() + 1);
+  return end;
+};
+
+const percentagesBySubject = (rows) => {
+  const percentages = new Map();
+  normalizeAttendance(rows).subjects.forEach((subject) => {
+    if (subject.percentage !== null) {
+      percentages.set(subject.id, {
+        name: subject.name || subject.id,
+        percentage: subject.percentage,
+      });
+    }
+  });
+  return percentages;
+};
+
+// Subjects that have dropped below the threshold since the previous fetch
+// (or are below it on the first fetch)
+export const findLowAttendance = (previousRows, nextRows, threshold) => {
+  const before = percentagesBySubject(previousRows || []);
+  const after = percentagesBySubject(nextRows || []);
+  const low = [];
+
+  after.forEach(({ name, percentage }, id) => {
+    const previous = before.get(id)?.percentage;
+    if (percentage < threshold && (previous == null || previous >= threshold)) {
+      low.push({ name, percentage });
+    }
+  });
+  return low;
+};
+
+// Subjects where more classes were held than attended since last time
+export const findNewAbsences = (previousRows, nextRows) => {
+  if (!previousRows) return [];
+
+  return diffAttendance(previousRows, nextRows).changed.filter(
+    (change) =>
+      change.heldDelta !== null && change.heldDelta > change.attendedDelta
+  );
+};
+
+// Returns the notifications ({ type, title, body }) a refresh should raise
+export const evaluateRules = (previousRows, nextRows, settings) => {
+  const notifications = [];
+
+  if (settings.lowAttendance.enabled) {
+    const { threshold } = settings.lowAttendance;
+    const low = findLowAttendance(previousRows, nextRows, threshold);
+    if (low.length > 0) {
+      notifications.push({
+        type: "lowAttendance",
+        title:
+          low.length === 1
+            ? t("notifications.lowTitleOne", { name: low[0].name })
+            : t("notifications.lowTitleMany", { count: low.length }),
+        body: low
+          .map(({ name, percentage }) =>
+            t("notifications.lowBody", {
+              name,
+              percent: formatPercent(percentage),
+              threshold,
+            })
+          )
+          .join("\n"),
+      });
+    }
+  }
+
+  if (settings.newAbsence.enabled) {
+    const absences = findNewAbsences(previousRows, nextRows);
+    if (absences.length > 0) {
+      notifications.push({
+        type: "newAbsence",
+        title: t("notifications.absenceTitle", { count: absences.length }),
+        body: absences.map(describeChange).join("\n"),
+      });
+    }
+  }
+
+  return notifications;
+};
@@ -0,0 +1,226 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+const AccountRow = ({ account, active, onSwitch, onRename, onRemove }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const [label, setLabel] = useState(account.label);
+
+  const submitLabel = () => {
+    setEditing(false);
+    if (label.trim() !== account.label)
+      onRename(account.systemId, label.trim());
+  };
+
+  const confirmRemove = () =>
+    Alert.alert(
+      t("accounts.removeTitle"),
+      t("accounts.removePrompt", { label: account.label }),
+      [
+        { text: t("common.cancel"), style: "cancel" },
+        {
+          text: t("accounts.remove"),
+          style: "destructive",
+          onPress: () => onRemove(account.systemId),
+        },
+      ]
+    );
+
+  return (
+    <View style={[styles.row, active && styles.rowActive]}>
+      {editing ? (
+        <TextInput
+          style={styles.labelInput}
+          value={label}
+          onChangeText={setLabel}
+          onSubmitEditing={submitLabel}
+          onBlur={submitLabel}
+          autoFocus
+        />
+      ) : (
+        <TouchableOpacity
+          style={styles.rowMain}
+          onPress={() => onSwitch(account.systemId)}
+          disabled={active}
+        >
+          <Text style={styles.rowLabel} numberOfLines={1}>
+            {account.label}
+          </Text>
+          {account.label !== account.systemId && (
+            <Text style={styles.rowId} numberOfLines={1}>
+              {account.systemId}
+            </Text>
+          )}
+        </TouchableOpacity>
+      )}
+      {active && <Ionicons name='checkmark' size={18} color={colors.success} />}
+      <TouchableOpacity
+        style={styles.rowAction}
+        onPress={() => setEditing(true)}
+      >
+        <Ionicons name='pencil-outline' size={16} color={colors.textMuted} />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.rowAction} onPress={confirmRemove}>
+        <Ionicons name='trash-outline' size={16} color={colors.destructive} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// Collapsible list of saved accounts with switch / rename / remove and an
+// entry for adding another account
+const AccountSwitcher = ({
+  accounts,
+  activeId,
+  onSwitch,
+  onAdd,
+  onRename,
+  onRemove,
+}) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+  const active = accounts.find((account) => account.systemId === activeId);
+
+  const close =
+    (handler) =>
+    (...args) => {
+      setExpanded(false);
+      return handler(...args);
+    };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.toggle}
+        onPress={() => setExpanded(!expanded)}
+      >
+        <Ionicons name='people-outline' size={18} color={colors.text} />
+        <Text style={styles.toggleText} numberOfLines={1}>
+          {active ? active.label : t("accounts.saved")}
+        </Text>
+        <Text style={styles.count}>{accounts.length}</Text>
+        <Ionicons
+          name={expanded ? "chevron-up" : "chevron-down"}
+          size={18}
+          color={colors.textMuted}
+        />
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.list}>
+          {accounts.map((account) => (
+            <AccountRow
+              key={account.systemId}
+              account={account}
+              active={account.systemId === activeId}
+              onSwitch={close(onSwitch)}
+              onRename={onRename}
+              onRemove={onRemove}
+            />
+          ))}
+          <TouchableOpacity style={styles.addRow} onPress={close(onAdd)}>
+            <Ionicons
+              name='add-circle-outline'
+              size={18}
+              color={colors.accent}
+            />
+            <Text style={styles.addText}>{t("accounts.add")}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    container: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 8,
+      marginBottom: 16,
+    },
+    toggle: {
+      flexDirection: "row",
+      alignItems: "center",
+      padding: 12,
+    },
+    toggleText: {
+      flex: 1,
+      marginLeft: 8,
+      fontSize: 15,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    count: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginRight: 6,
+    },
+    list: {
+      borderTopWidth: 1,
+      borderTopColor: colors.border,
+    },
+    row: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingHorizontal: 12,
+      paddingVertical: 10,
+    },
+    rowActive: {
+      backgroundColor: colors.selectedBackground,
+    },
+    rowMain: {
+      flex: 1,
+    },
+    rowLabel: {
+      fontSize: 14,
+      color: colors.text,
+    },
+    rowId: {
+      fontSize: 12,
+      color: colors.textSubtle,
+    },
+    labelInput: {
+      flex: 1,
+      fontSize: 14,
+      color: colors.text,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.accentBright,
+      paddingVertical: 2,
+    },
+    rowAction: {
+      padding: 6,
+      marginLeft: 4,
+    },
+    addRow: {
+      flexDirection: "row",
+      alignItems: "center",
+      padding: 12,
+      borderTopWidth: 1,
+      borderTopColor: colors.border,
+    },
+    addText: {
+      marginLeft: 8,
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.accent,
+    },
+  });
+
+export default AccountSwitcher;
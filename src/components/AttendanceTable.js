@@ -0,0 +1,134 @@
+import React, { useRef } from "react";
+import {
+  View,
+  FlatList,
+  ScrollView,
+  Dimensions,
+  StyleSheet,
+} from "react-native";
+import { useThemedStyles } from "../theme/useThemedStyles";
+
+export const ROW_HEIGHT = 48;
+const MAX_HEIGHT_RATIO = 0.6;
+
+// Virtualized table whose header row stays put while scrolling vertically
+// and whose first column stays put while scrolling horizontally.
+//
+// columns: [{ key, width, renderHeader(), renderCell(row, rowIndex) }];
+// the first entry is the frozen column. getRowKey(row, rowIndex) must be
+// stable across sorting.
+const AttendanceTable = ({ columns, rows, getRowKey, rowStyle }) => {
+  const styles = useThemedStyles(createStyles);
+  const frozenListRef = useRef(null);
+  const [frozen, ...scrolling] = columns;
+
+  const bodyHeight = Math.min(
+    rows.length * ROW_HEIGHT,
+    Dimensions.get("window").height * MAX_HEIGHT_RATIO
+  );
+  const scrollingWidth = scrolling.reduce((sum, col) => sum + col.width, 0);
+
+  const getItemLayout = (data, index) => ({
+    length: ROW_HEIGHT,
+    offset: ROW_HEIGHT * index,
+    index,
+  });
+
+  const renderRow =
+    (cols) =>
+    ({ item, index }) =>
+      (
+        <View style={[styles.row, rowStyle?.(item, index)]}>
+          {cols.map((col) => (
+            <View key={col.key} style={[styles.cell, { width: col.width }]}>
+              {col.renderCell(item, index)}
+            </View>
+          ))}
+        </View>
+      );
+
+  // The body on the right drives the frozen column's scroll position
+  const syncFrozenColumn = (event) => {
+    frozenListRef.current?.scrollToOffset({
+      offset: event.nativeEvent.contentOffset.y,
+      animated: false,
+    });
+  };
+
+  const sharedListProps = {
+    data: rows,
+    keyExtractor: (item, index) => getRowKey(item, index),
+    getItemLayout,
+    initialNumToRender: 15,
+    windowSize: 7,
+    style: { height: bodyHeight },
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.frozen, { width: frozen.width }]}>
+        <View style={styles.headerRow}>
+          <View style={[styles.cell, { width: frozen.width }]}>
+            {frozen.renderHeader()}
+          </View>
+        </View>
+        <FlatList
+          ref={frozenListRef}
+          {...sharedListProps}
+          renderItem={renderRow([frozen])}
+          scrollEnabled={false}
+          showsVerticalScrollIndicator={false}
+        />
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator>
+        <View style={{ width: scrollingWidth }}>
+          <View style={styles.headerRow}>
+            {scrolling.map((col) => (
+              <View key={col.key} style={[styles.cell, { width: col.width }]}>
+                {col.renderHeader()}
+              </View>
+            ))}
+          </View>
+          <FlatList
+            {...sharedListProps}
+            renderItem={renderRow(scrolling)}
+            onScroll={syncFrozenColumn}
+            scrollEventThrottle={16}
+            nestedScrollEnabled
+          />
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    container: {
+      flexDirection: "row",
+    },
+    frozen: {
+      borderRightWidth: 1,
+      borderRightColor: colors.inputBorder,
+      zIndex: 1,
+    },
+    headerRow: {
+      flexDirection: "row",
+      height: ROW_HEIGHT,
+      backgroundColor: colors.tableHeader,
+      borderBottomWidth: 2,
+      borderBottomColor: colors.tableHeaderBorder,
+    },
+    row: {
+      flexDirection: "row",
+      height: ROW_HEIGHT,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    cell: {
+      height: "100%",
+    },
+  });
+
+export default AttendanceTable;
@@ -0,0 +1,47 @@
+import React from "react";
+import { Text, TouchableOpacity, StyleSheet } from "react-native";
+import { useThemedStyles } from "../theme/useThemedStyles";
+
+// Rounded toggle used for pick-one lists such as weekdays or subjects
+const Chip = ({ label, selected, onPress }) => {
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <TouchableOpacity
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+      accessibilityState={{ selected: !!selected }}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+export default Chip;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    chip: {
+      borderWidth: 1,
+      borderColor: colors.inputBorder,
+      borderRadius: 16,
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      marginRight: 8,
+      marginBottom: 8,
+    },
+    chipSelected: {
+      backgroundColor: colors.accent,
+      borderColor: colors.accent,
+    },
+    chipText: {
+      fontSize: 13,
+      color: colors.text,
+    },
+    chipTextSelected: {
+      color: colors.onAccent,
+      fontWeight: "600",
+    },
+  });
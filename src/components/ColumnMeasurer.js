@@ -0,0 +1,85 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { View, Text, StyleSheet } from "react-native";
+
+// How many of the longest values per column get measured. Character count
+// only roughly predicts rendered width, so a few candidates are tried.
+const CANDIDATES_PER_COLUMN = 3;
+
+const pickCandidates = (rows, header, formatValue) => {
+  const values = rows.map((row) => formatValue(header, row[header]));
+  return [...new Set(values)]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, CANDIDATES_PER_COLUMN);
+};
+
+// Renders header labels and the longest cell values off screen, measures
+// them and reports the widest text per column once everything is laid out:
+// onMeasured({ [header]: width }). Remount it (e.g. with a key) to measure
+// a new dataset.
+const ColumnMeasurer = ({
+  headers,
+  rows,
+  formatHeader,
+  formatValue = (header, value) => String(value ?? ""),
+  headerTextStyle,
+  cellTextStyle,
+  onMeasured,
+}) => {
+  const items = useMemo(
+    () =>
+      headers.flatMap((header) => [
+        { header, text: formatHeader(header), isHeader: true },
+        ...pickCandidates(rows, header, formatValue).map((text) => ({
+          header,
+          text,
+        })),
+      ]),
+    [headers, rows]
+  );
+  const widths = useRef({});
+  const measured = useRef(new Set());
+
+  useEffect(() => {
+    if (items.length === 0) onMeasured({});
+  }, []);
+
+  // onLayout can fire more than once per text, so count each item once
+  const handleLayout = (header, index) => (event) => {
+    const { width } = event.nativeEvent.layout;
+    widths.current[header] = Math.max(widths.current[header] || 0, width);
+    if (measured.current.has(index)) return;
+    measured.current.add(index);
+    if (measured.current.size === items.length)
+      onMeasured({ ...widths.current });
+  };
+
+  return (
+    <View style={styles.container} pointerEvents='none'>
+      {items.map((item, index) => (
+        <Text
+          key={`${item.header}-${index}`}
+          style={[styles.text, item.isHeader ? headerTextStyle : cellTextStyle]}
+          numberOfLines={1}
+          onLayout={handleLayout(item.header, index)}
+        >
+          {item.text}
+        </Text>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    opacity: 0,
+    alignItems: "flex-start",
+  },
+  text: {
+    position: "absolute",
+  },
+});
+
+export default ColumnMeasurer;
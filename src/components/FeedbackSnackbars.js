@@ -0,0 +1,125 @@
+import React from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import { useFeedback } from "../state/FeedbackContext";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+const ICONS = {
+  success: "checkmark-circle-outline",
+  info: "information-circle-outline",
+  warning: "warning-outline",
+  error: "alert-circle-outline",
+};
+
+const Snackbar = ({ notification, onDismiss }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const { severity, message, action } = notification;
+  const tint = colors.snackbar[severity];
+
+  return (
+    <View
+      style={[styles.snackbar, { borderLeftColor: tint }]}
+      accessibilityRole='alert'
+      accessibilityLiveRegion='polite'
+    >
+      <Ionicons name={ICONS[severity]} size={20} color={tint} />
+      <Text style={styles.message}>{message}</Text>
+      {action && (
+        <TouchableOpacity
+          style={styles.action}
+          onPress={() => {
+            onDismiss();
+            action.onPress();
+          }}
+        >
+          <Text style={[styles.actionText, { color: tint }]}>
+            {action.label}
+          </Text>
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity
+        style={styles.close}
+        onPress={onDismiss}
+        accessibilityLabel={t("common.dismiss")}
+      >
+        <Ionicons name='close' size={18} color={colors.textMuted} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// The notification queue, stacked above the bottom of the screen with the
+// newest last. Rendered once, over the navigator.
+const FeedbackSnackbars = () => {
+  const { notifications, dismiss } = useFeedback();
+  const insets = useSafeAreaInsets();
+  const styles = useThemedStyles(createStyles);
+  if (notifications.length === 0) return null;
+
+  return (
+    <View
+      style={[styles.container, { bottom: insets.bottom + 12 }]}
+      pointerEvents='box-none'
+    >
+      {notifications.map((notification) => (
+        <Snackbar
+          key={notification.id}
+          notification={notification}
+          onDismiss={() => dismiss(notification.id)}
+        />
+      ))}
+    </View>
+  );
+};
+
+export default FeedbackSnackbars;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    container: {
+      position: "absolute",
+      left: 12,
+      right: 12,
+    },
+    snackbar: {
+      flexDirection: "row",
+      alignItems: "center",
+      marginTop: 8,
+      paddingVertical: 12,
+      paddingLeft: 14,
+      paddingRight: 8,
+      borderRadius: 8,
+      borderLeftWidth: 4,
+      backgroundColor: colors.snackbar.background,
+      shadowColor: "#000",
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.2,
+      shadowRadius: 6,
+      elevation: 6,
+    },
+    message: {
+      flex: 1,
+      marginLeft: 10,
+      fontSize: 14,
+      color: colors.snackbar.text,
+    },
+    action: {
+      marginLeft: 8,
+      paddingHorizontal: 8,
+      paddingVertical: 4,
+    },
+    actionText: {
+      fontSize: 14,
+      fontWeight: "700",
+      textTransform: "uppercase",
+    },
+    close: {
+      marginLeft: 4,
+      padding: 4,
+    },
+  });
@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { useTheme } from "react-native-paper";
+import TrendChart from "./TrendChart";
+import { buildTrends, trendDelta } from "../lib/trends";
+import { formatTimestamp } from "../storage/attendanceCache";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { formatPercent } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+const formatDelta = (delta) => {
+  if (delta === null) return "";
+  const sign = delta > 0 ? "+" : "";
+  return `${sign}${formatPercent(delta)}`;
+};
+
+const deltaStyle = (styles, delta) => {
+  if (delta === null || Math.abs(delta) < 0.05) return styles.deltaFlat;
+  return delta > 0 ? styles.deltaUp : styles.deltaDown;
+};
+
+const TrendRow = ({ title, points, target, chartWidth, color, bold }) => {
+  const styles = useThemedStyles(createStyles);
+  const latest = points[points.length - 1];
+  const delta = trendDelta(points);
+
+  return (
+    <View style={styles.trendRow}>
+      <View style={styles.trendHeader}>
+        <Text
+          style={[styles.trendTitle, bold && styles.trendTitleBold]}
+          numberOfLines={1}
+        >
+          {title}
+        </Text>
+        <Text style={styles.trendValue}>
+          {latest ? formatPercent(latest.value) : "—"}
+          <Text style={deltaStyle(styles, delta)}> {formatDelta(delta)}</Text>
+        </Text>
+      </View>
+      <TrendChart
+        points={points}
+        target={target}
+        width={chartWidth}
+        color={color}
+      />
+    </View>
+  );
+};
+
+// Per-subject and overall attendance percentage over stored snapshots
+const HistoryView = ({ snapshots, target }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const [chartWidth, setChartWidth] = useState(0);
+  const trends = useMemo(() => buildTrends(snapshots), [snapshots]);
+
+  if (snapshots.length === 0) {
+    return <Text style={styles.emptyText}>{t("history.empty")}</Text>;
+  }
+
+  return (
+    <View onLayout={(event) => setChartWidth(event.nativeEvent.layout.width)}>
+      <Text style={styles.rangeText}>
+        {t("history.range", {
+          count: snapshots.length,
+          since: formatTimestamp(snapshots[0].fetchedAt),
+        })}
+      </Text>
+
+      {chartWidth > 0 && (
+        <>
+          <TrendRow
+            title={t("history.overall")}
+            points={trends.overall}
+            target={target}
+            chartWidth={chartWidth}
+            color={colors.accent}
+            bold
+          />
+          {trends.subjects.map((subject) => (
+            <TrendRow
+              key={subject.id}
+              title={subject.name}
+              points={subject.points}
+              target={target}
+              chartWidth={chartWidth}
+            />
+          ))}
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+      textAlign: "center",
+      padding: 20,
+    },
+    rangeText: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginBottom: 12,
+    },
+    trendRow: {
+      marginBottom: 16,
+    },
+    trendHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 4,
+    },
+    trendTitle: {
+      flex: 1,
+      fontSize: 14,
+      color: colors.text,
+      marginRight: 8,
+    },
+    trendTitleBold: {
+      fontWeight: "700",
+    },
+    trendValue: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    deltaUp: {
+      color: colors.success,
+    },
+    deltaDown: {
+      color: colors.error,
+    },
+    deltaFlat: {
+      color: colors.textSubtle,
+    },
+  });
+
+export default HistoryView;
@@ -0,0 +1,174 @@
+import React, { useMemo } from "react";
+import { View, Text, Pressable, Alert, StyleSheet } from "react-native";
+import { useTheme } from "react-native-paper";
+import { buildLectureCalendar } from "../lib/lectures";
+import { WEEKDAYS, weekdayLabel } from "../lib/timetable";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { t, formatDate, formatList } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+// Colours come from the theme's `lecture` palette
+const LEVELS = ["present", "mixed", "absent", "other"];
+
+const dayLevel = ({ present, absent, other }) => {
+  if (present && absent) return "mixed";
+  if (present) return "present";
+  if (absent) return "absent";
+  if (other) return "other";
+  return null;
+};
+
+const describeDay = ({ present, absent, other }) =>
+  formatList(
+    [
+      present && t("heatmap.presentCount", { count: present }),
+      absent && t("heatmap.absentCount", { count: absent }),
+      other && t("heatmap.otherCount", { count: other }),
+    ].filter(Boolean)
+  );
+
+const monthTitle = (year, month) =>
+  formatDate(new Date(year, month - 1, 1), { month: "long", year: "numeric" });
+
+// Calendar of lecture days, one month grid per month with records, newest
+// first. Tapping a coloured day shows its lectures.
+const LectureHeatmap = ({ lectures }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  // Re-render month and weekday names when the language changes
+  useI18n();
+  const months = useMemo(() => buildLectureCalendar(lectures), [lectures]);
+
+  return (
+    <View>
+      <View style={styles.legend}>
+        {LEVELS.map((level) => (
+          <View key={level} style={styles.legendItem}>
+            <View
+              style={[
+                styles.legendSwatch,
+                { backgroundColor: colors.lecture[level] },
+              ]}
+            />
+            <Text style={styles.legendText}>{t(`heatmap.${level}`)}</Text>
+          </View>
+        ))}
+      </View>
+
+      {months.map((month) => (
+        <View key={month.key} style={styles.month}>
+          <Text style={styles.monthTitle}>
+            {monthTitle(month.year, month.month)}
+          </Text>
+          <View style={styles.week}>
+            {WEEKDAYS.map((weekday) => (
+              <Text key={weekday} style={[styles.day, styles.weekdayText]}>
+                {weekdayLabel(weekday, "narrow")}
+              </Text>
+            ))}
+          </View>
+          {month.weeks.map((week, weekIndex) => (
+            <View key={weekIndex} style={styles.week}>
+              {week.map((slot, dayIndex) => {
+                if (!slot) {
+                  return <View key={dayIndex} style={styles.day} />;
+                }
+                const level = dayLevel(slot);
+                return (
+                  <Pressable
+                    key={dayIndex}
+                    style={[
+                      styles.day,
+                      styles.dayCell,
+                      level && { backgroundColor: colors.lecture[level] },
+                    ]}
+                    disabled={!level}
+                    onPress={() =>
+                      Alert.alert(
+                        formatDate(
+                          new Date(month.year, month.month - 1, slot.day),
+                          { weekday: "long", day: "numeric", month: "long" }
+                        ),
+                        describeDay(slot)
+                      )
+                    }
+                  >
+                    <Text
+                      style={[styles.dayText, level && styles.dayTextActive]}
+                    >
+                      {slot.day}
+                    </Text>
+                  </Pressable>
+                );
+              })}
+            </View>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+export default LectureHeatmap;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    legend: {
+      flexDirection: "row",
+      flexWrap: "wrap",
+      marginBottom: 12,
+    },
+    legendItem: {
+      flexDirection: "row",
+      alignItems: "center",
+      marginRight: 12,
+      marginBottom: 4,
+    },
+    legendSwatch: {
+      width: 12,
+      height: 12,
+      borderRadius: 3,
+      marginRight: 4,
+    },
+    legendText: {
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    month: {
+      marginBottom: 16,
+    },
+    monthTitle: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+      marginBottom: 6,
+    },
+    week: {
+      flexDirection: "row",
+    },
+    day: {
+      flex: 1,
+      aspectRatio: 1,
+      margin: 2,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    dayCell: {
+      borderRadius: 4,
+      backgroundColor: colors.subtleBackground,
+    },
+    weekdayText: {
+      fontSize: 11,
+      color: colors.textSubtle,
+      textAlign: "center",
+      aspectRatio: undefined,
+    },
+    dayText: {
+      fontSize: 11,
+      color: colors.textSubtle,
+    },
+    dayTextActive: {
+      color: colors.onAccent,
+      fontWeight: "700",
+    },
+  });
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from "react";
+import { View, Text, Switch, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import {
+  loadNotificationSettings,
+  applyNotificationSettings,
+} from "../background/attendanceTask";
+import { DEFAULT_NOTIFICATION_SETTINGS } from "../background/rules";
+import Stepper, { formatPercentValue } from "./Stepper";
+import { createSerialQueue } from "../lib/serialQueue";
+import { useFeedback } from "../state/FeedbackContext";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+const FEEDBACK = { key: "notificationSettings" };
+
+// Changes are saved one at a time, each on top of the one before
+const queueApply = createSerialQueue();
+
+// Applies a patch such as { quietHours: { start: 22 } }; groups of
+// settings are merged key by key
+const withPatch = (settings, patch) => {
+  const next = { ...settings };
+  Object.entries(patch).forEach(([key, value]) => {
+    next[key] =
+      typeof value === "object" ? { ...settings[key], ...value } : value;
+  });
+  return next;
+};
+
+const SettingRow = ({ title, description, value, onValueChange, children }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.settingRow}>
+      <View style={styles.settingHeader}>
+        <View style={styles.settingText}>
+          <Text style={styles.settingTitle}>{title}</Text>
+          {description ? (
+            <Text style={styles.settingDescription}>{description}</Text>
+          ) : null}
+        </View>
+        <Switch
+          value={value}
+          onValueChange={onValueChange}
+          trackColor={{ true: colors.accentBright }}
+        />
+      </View>
+      {value && children ? (
+        <View style={styles.settingChildren}>{children}</View>
+      ) : null}
+    </View>
+  );
+};
+
+// Opt-in settings for background refresh and low-attendance notifications
+const NotificationSettings = () => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const { showError } = useFeedback();
+  const [expanded, setExpanded] = useState(false);
+  const [settings, setSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS);
+
+  useEffect(() => {
+    loadNotificationSettings().then(setSettings);
+  }, []);
+
+  const update = (patch) => {
+    setSettings((current) => withPatch(current, patch));
+    queueApply(async () => {
+      try {
+        const next = withPatch(await loadNotificationSettings(), patch);
+        const applied = await applyNotificationSettings(next);
+        if (next.backgroundRefresh && !applied.backgroundRefresh) {
+          setSettings((current) => ({ ...current, backgroundRefresh: false }));
+          showError(t("notificationSettings.permissionDenied"), FEEDBACK);
+        }
+      } catch (err) {
+        console.error("Error applying notification settings:", err);
+      }
+    });
+  };
+
+  const { lowAttendance, newAbsence, quietHours } = settings;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.toggle}
+        onPress={() => setExpanded(!expanded)}
+      >
+        <Ionicons name='notifications-outline' size={18} color={colors.text} />
+        <Text style={styles.toggleText}>{t("notificationSettings.title")}</Text>
+        <Ionicons
+          name={expanded ? "chevron-up" : "chevron-down"}
+          size={18}
+          color={colors.textMuted}
+        />
+      </TouchableOpacity>
+
+      {expanded && (
+        <View>
+          <SettingRow
+            title={t("notificationSettings.backgroundRefresh")}
+            description={t("notificationSettings.backgroundRefreshHint")}
+            value={settings.backgroundRefresh}
+            onValueChange={(value) => update({ backgroundRefresh: value })}
+          />
+
+          <SettingRow
+            title={t("notificationSettings.lowAttendance")}
+            description={t("notificationSettings.lowAttendanceHint")}
+            value={lowAttendance.enabled}
+            onValueChange={(enabled) => update({ lowAttendance: { enabled } })}
+          >
+            <Stepper
+              value={lowAttendance.threshold}
+              format={formatPercentValue}
+              step={5}
+              min={5}
+              max={100}
+              onChange={(threshold) => update({ lowAttendance: { threshold } })}
+            />
+          </SettingRow>
+
+          <SettingRow
+            title={t("notificationSettings.newAbsence")}
+            description={t("notificationSettings.newAbsenceHint")}
+            value={newAbsence.enabled}
+            onValueChange={(enabled) => update({ newAbsence: { enabled } })}
+          />
+
+          <SettingRow
+            title={t("notificationSettings.quietHours")}
+            description={t("notificationSettings.quietHoursHint")}
+            value={quietHours.enabled}
+            onValueChange={(enabled) => update({ quietHours: { enabled } })}
+          >
+            <View style={styles.quietHours}>
+              <Text style={styles.quietLabel}>
+                {t("notificationSettings.from")}
+              </Text>
+              <Stepper
+                value={quietHours.start}
+                format={formatHour}
+                max={23}
+                wrap
+                onChange={(start) => update({ quietHours: { start } })}
+              />
+              <Text style={styles.quietLabel}>
+                {t("notificationSettings.to")}
+              </Text>
+              <Stepper
+                value={quietHours.end}
+                format={formatHour}
+                max={23}
+                wrap
+                onChange={(end) => update({ quietHours: { end } })}
+              />
+            </View>
+          </SettingRow>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    container: {
+      marginTop: 16,
+      borderTopWidth: 1,
+      borderTopColor: colors.border,
+      paddingTop: 12,
+    },
+    toggle: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    toggleText: {
+      flex: 1,
+      marginLeft: 8,
+      fontSize: 15,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    settingRow: {
+      marginTop: 14,
+    },
+    settingHeader: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    settingText: {
+      flex: 1,
+      marginRight: 12,
+    },
+    settingTitle: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    settingDescription: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginTop: 2,
+    },
+    settingChildren: {
+      marginTop: 8,
+      alignItems: "flex-start",
+    },
+    quietHours: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    quietLabel: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginHorizontal: 6,
+    },
+  });
+
+export default NotificationSettings;
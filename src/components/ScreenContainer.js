@@ -0,0 +1,63 @@
+import React from "react";
+import {
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  StyleSheet,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { LinearGradient } from "expo-linear-gradient";
+import { useTheme } from "react-native-paper";
+import { useThemedStyles } from "../theme/useThemedStyles";
+
+// Gradient background and keyboard-aware scrolling shared by every screen.
+// Screens under the navigation header leave the top inset to the header.
+const ScreenContainer = ({ children, underHeader = true }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <SafeAreaView
+      style={styles.safeArea}
+      edges={underHeader ? ["left", "right", "bottom"] : undefined}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.keyboardAvoid}
+      >
+        <LinearGradient
+          colors={colors.gradient}
+          style={styles.gradientBackground}
+        >
+          <ScrollView
+            contentContainerStyle={styles.scrollContainer}
+            keyboardShouldPersistTaps='handled'
+          >
+            {children}
+          </ScrollView>
+        </LinearGradient>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+export default ScreenContainer;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    safeArea: {
+      flex: 1,
+      backgroundColor: colors.header,
+    },
+    keyboardAvoid: {
+      flex: 1,
+    },
+    gradientBackground: {
+      flex: 1,
+    },
+    scrollContainer: {
+      flexGrow: 1,
+      padding: 20,
+      paddingBottom: 40,
+    },
+  });
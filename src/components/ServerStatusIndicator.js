@@ -0,0 +1,77 @@
+import React, { useSyncExternalStore } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import { getServerStatus, subscribeServerStatus } from "../api/serverStatus";
+import { warmUpServer } from "../api/client";
+import { getDemoMode, subscribeDemoMode } from "../demo/demoMode";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+// Small pill in the header showing whether the backend is reachable, or
+// that the app is showing demo data instead
+const ServerStatusIndicator = () => {
+  const status = useSyncExternalStore(subscribeServerStatus, getServerStatus);
+  const demoMode = useSyncExternalStore(subscribeDemoMode, getDemoMode);
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+
+  if (demoMode.enabled) {
+    return (
+      <View style={styles.pill}>
+        <Ionicons
+          name='flask-outline'
+          size={12}
+          color={colors.onHeaderMuted}
+          style={styles.demoIcon}
+        />
+        <Text style={styles.label}>
+          {t("demo.badge", {
+            scenario: t(`demo.scenarios.${demoMode.scenario}.title`),
+          })}
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <TouchableOpacity
+      style={styles.pill}
+      onPress={warmUpServer}
+      disabled={status !== "unreachable"}
+    >
+      <View style={[styles.dot, styles[`${status}Dot`]]} />
+      <Text style={styles.label}>{t(`serverStatus.${status}`)}</Text>
+    </TouchableOpacity>
+  );
+};
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    pill: {
+      flexDirection: "row",
+      alignItems: "center",
+      alignSelf: "center",
+      marginTop: 10,
+      paddingHorizontal: 12,
+      paddingVertical: 4,
+      borderRadius: 12,
+      backgroundColor: colors.statusPill,
+    },
+    dot: {
+      width: 8,
+      height: 8,
+      borderRadius: 4,
+      marginRight: 6,
+    },
+    demoIcon: {
+      marginRight: 6,
+    },
+    label: {
+      fontSize: 12,
+      color: colors.onHeaderMuted,
+    },
+  });
+
+export default ServerStatusIndicator;
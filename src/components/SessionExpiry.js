@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import { getTokenExpiry, formatDuration, EXPIRY_WARNING_MS } from "../auth/jwt";
+import { useFeedback } from "../state/FeedbackContext";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+const TICK_MS = 30000;
+const FEEDBACK_KEY = "sessionExpiry";
+
+// "Session expires in …" line for the signed-in view. Warns once per token
+// when expiry gets close, with a "Log in again" action that stays until
+// dismissed.
+const SessionExpiry = ({ token, onReauthenticate }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const { showWarning, dismiss } = useFeedback();
+  const [now, setNow] = useState(Date.now());
+  const promptedFor = useRef(null);
+  const expiry = getTokenExpiry(token);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const remaining = expiry === null ? null : expiry - now;
+  const expiringSoon = remaining !== null && remaining <= EXPIRY_WARNING_MS;
+
+  useEffect(() => {
+    if (!expiringSoon || promptedFor.current === token) return;
+    promptedFor.current = token;
+    showWarning(
+      t("session.expiringPrompt", {
+        duration: formatDuration(Math.max(remaining, 0)),
+      }),
+      {
+        key: FEEDBACK_KEY,
+        duration: null,
+        action: { label: t("session.logInAgain"), onPress: onReauthenticate },
+      }
+    );
+  }, [expiringSoon, token]);
+
+  // The warning is about this session only
+  useEffect(() => () => dismiss(FEEDBACK_KEY), [token]);
+
+  if (remaining === null) return null;
+
+  return (
+    <View style={[styles.container, expiringSoon && styles.warning]}>
+      <Ionicons
+        name='time-outline'
+        size={14}
+        color={expiringSoon ? colors.caution : colors.textMuted}
+      />
+      <Text style={[styles.text, expiringSoon && styles.warningText]}>
+        {remaining > 0
+          ? t("session.expiresIn", { duration: formatDuration(remaining) })
+          : t("session.expiredShort")}
+      </Text>
+      {expiringSoon && (
+        <TouchableOpacity onPress={onReauthenticate}>
+          <Text style={styles.action}>{t("session.logInAgain")}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    container: {
+      flexDirection: "row",
+      alignItems: "center",
+      marginBottom: 8,
+    },
+    warning: {
+      backgroundColor: colors.cautionBackground,
+      borderRadius: 8,
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+    },
+    text: {
+      flex: 1,
+      marginLeft: 6,
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    warningText: {
+      color: colors.caution,
+      fontWeight: "600",
+    },
+    action: {
+      fontSize: 12,
+      fontWeight: "700",
+      color: colors.accent,
+    },
+  });
+
+export default SessionExpiry;
@@ -0,0 +1,104 @@
+import React from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+// +/- control for a whole number between min and max. onChange receives
+// the new value. With `wrap` it goes round from max to min (e.g. hours);
+// otherwise the buttons are disabled at the ends. `label` is an optional
+// caption shown above the control.
+const Stepper = ({
+  value,
+  onChange,
+  step = 1,
+  min = 0,
+  max = 100,
+  wrap = false,
+  format = String,
+  label,
+}) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+
+  const change = (delta) => {
+    const next = value + delta;
+    const span = max - min + 1;
+    onChange(
+      wrap
+        ? min + ((((next - min) % span) + span) % span)
+        : Math.min(Math.max(next, min), max)
+    );
+  };
+
+  const atMin = !wrap && value <= min;
+  const atMax = !wrap && value >= max;
+  const a11yLabel = (action) => (label ? `${label}: ${action}` : action);
+
+  return (
+    <View style={label ? styles.labelled : null}>
+      {label ? <Text style={styles.label}>{label}</Text> : null}
+      <View style={styles.stepper}>
+        <TouchableOpacity
+          style={[styles.button, atMin && styles.buttonDisabled]}
+          onPress={() => change(-step)}
+          disabled={atMin}
+          accessibilityLabel={a11yLabel(t("common.decrease"))}
+        >
+          <Ionicons name='remove' size={16} color={colors.accent} />
+        </TouchableOpacity>
+        <Text style={styles.value}>{format(value)}</Text>
+        <TouchableOpacity
+          style={[styles.button, atMax && styles.buttonDisabled]}
+          onPress={() => change(step)}
+          disabled={atMax}
+          accessibilityLabel={a11yLabel(t("common.increase"))}
+        >
+          <Ionicons name='add' size={16} color={colors.accent} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+// `format` for whole percentages
+export const formatPercentValue = (value) => `${value}%`;
+
+export default Stepper;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    labelled: {
+      alignItems: "center",
+    },
+    label: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginBottom: 4,
+    },
+    stepper: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    button: {
+      width: 28,
+      height: 28,
+      borderRadius: 14,
+      backgroundColor: colors.accentSoft,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    buttonDisabled: {
+      opacity: 0.4,
+    },
+    value: {
+      minWidth: 52,
+      textAlign: "center",
+      fontSize: 15,
+      fontWeight: "700",
+      color: colors.accent,
+      fontVariant: ["tabular-nums"],
+    },
+  });
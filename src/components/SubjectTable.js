@@ -0,0 +1,311 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Pressable,
+  Alert,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import AttendanceTable from "./AttendanceTable";
+import ColumnMeasurer from "./ColumnMeasurer";
+import {
+  isNumericType,
+  formatValue,
+  percentageLevel,
+} from "../lib/columnTypes";
+import { fieldLabel } from "../lib/subjects";
+import { calculateThreshold, describeThreshold } from "../lib/threshold";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+const THRESHOLD_COLUMN_WIDTH = 150;
+const MIN_COLUMN_WIDTH = 100;
+const MAX_COLUMN_WIDTH = 200;
+const CELL_PADDING = 24;
+// Room for the sort arrow next to a header label
+const SORT_ICON_SPACE = 18;
+
+// The attendance table with sortable headers, type-aware cells and a
+// threshold column. Column widths are measured once per dataset and
+// language from `allRows` so filtering does not make columns jump.
+const SubjectTable = ({
+  rows,
+  allRows,
+  headers,
+  columnTypes,
+  sort,
+  onSort,
+  target,
+  showThreshold,
+  colorThresholds,
+  changedCells = {},
+  onRowPress,
+}) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t, language } = useI18n();
+  const [columnWidths, setColumnWidths] = useState({});
+  const [datasetVersion, setDatasetVersion] = useState(0);
+  const [measuredVersion, setMeasuredVersion] = useState(-1);
+
+  // New dataset or translated labels: measure the column widths again
+  useEffect(() => {
+    if (allRows.length > 0) {
+      setDatasetVersion((version) => version + 1);
+    }
+  }, [allRows, language]);
+
+  const formatCell = (header, value) => formatValue(value, columnTypes[header]);
+
+  const handleColumnsMeasured = (version) => (measured) => {
+    const widths = {};
+    Object.keys(measured).forEach((header) => {
+      widths[header] = Math.min(
+        Math.max(measured[header] + CELL_PADDING, MIN_COLUMN_WIDTH),
+        MAX_COLUMN_WIDTH
+      );
+    });
+    setColumnWidths(widths);
+    setMeasuredVersion(version);
+  };
+
+  const renderHeaderCell = (header) => {
+    const numeric = isNumericType(columnTypes[header]);
+    const sortDirection = sort?.column === header ? sort.direction : null;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.tableCell,
+          styles.headerCell,
+          numeric && styles.headerCellNumeric,
+        ]}
+        onPress={() => onSort(header)}
+      >
+        <Text
+          style={[styles.tableCellText, styles.headerCellText]}
+          numberOfLines={1}
+        >
+          {fieldLabel(header)}
+        </Text>
+        {sortDirection && (
+          <Ionicons
+            name={sortDirection === "asc" ? "arrow-up" : "arrow-down"}
+            size={14}
+            color={colors.onAccent}
+            style={styles.sortIcon}
+          />
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  // Values are formatted for the column's type. Pressing a cell opens the
+  // subject; long-pressing shows the value in full.
+  const renderValueCell = (item, header) => {
+    const value = item[header];
+    const numeric = isNumericType(columnTypes[header]);
+    const isChanged = (changedCells[item.id] || []).includes(header);
+    const level =
+      columnTypes[header] === "percentage"
+        ? percentageLevel(value, colorThresholds)
+        : null;
+
+    return (
+      <Pressable
+        style={[styles.tableCell, isChanged && styles.changedCell]}
+        onPress={onRowPress && (() => onRowPress(item))}
+        onLongPress={() => Alert.alert(fieldLabel(header), String(value ?? ""))}
+      >
+        <Text
+          style={[
+            styles.tableCellText,
+            numeric && styles.numericCellText,
+            level && styles[`${level}PercentText`],
+            isChanged && styles.changedCellText,
+          ]}
+          numberOfLines={1}
+        >
+          {formatCell(header, value)}
+        </Text>
+      </Pressable>
+    );
+  };
+
+  // Extra column showing how many classes can be skipped / must be attended
+  const renderThresholdCell = (item) => {
+    const result = calculateThreshold(item, target);
+
+    return (
+      <Pressable
+        style={styles.tableCell}
+        onPress={onRowPress && (() => onRowPress(item))}
+      >
+        <View style={[styles.thresholdBadge, styles[`${result.status}Badge`]]}>
+          <Text
+            style={[styles.thresholdBadgeText, styles[`${result.status}Text`]]}
+            numberOfLines={1}
+          >
+            {describeThreshold(result)}
+          </Text>
+        </View>
+      </Pressable>
+    );
+  };
+
+  // Column definitions for the table; the first column stays frozen
+  const tableColumns = [
+    ...headers.map((header) => ({
+      key: header,
+      width: columnWidths[header] || 120,
+      renderHeader: () => renderHeaderCell(header),
+      renderCell: (item) => renderValueCell(item, header),
+    })),
+    ...(showThreshold
+      ? [
+          {
+            key: "__threshold",
+            width: THRESHOLD_COLUMN_WIDTH,
+            renderHeader: () => (
+              <View style={[styles.tableCell, styles.headerCell]}>
+                <Text style={[styles.tableCellText, styles.headerCellText]}>
+                  {t("table.targetColumn", { target })}
+                </Text>
+              </View>
+            ),
+            renderCell: renderThresholdCell,
+          },
+        ]
+      : []),
+  ];
+
+  return (
+    <View style={styles.tableContainer}>
+      {measuredVersion !== datasetVersion && (
+        <ColumnMeasurer
+          key={datasetVersion}
+          headers={headers}
+          rows={allRows}
+          formatHeader={fieldLabel}
+          formatValue={formatCell}
+          headerTextStyle={[
+            styles.tableCellText,
+            styles.headerCellText,
+            { paddingRight: SORT_ICON_SPACE },
+          ]}
+          cellTextStyle={styles.tableCellText}
+          onMeasured={handleColumnsMeasured(datasetVersion)}
+        />
+      )}
+      <AttendanceTable
+        columns={tableColumns}
+        rows={rows}
+        getRowKey={(item) => item.id}
+        rowStyle={(item, index) =>
+          index % 2 === 0 ? styles.tableRowEven : styles.tableRowOdd
+        }
+      />
+    </View>
+  );
+};
+
+export default SubjectTable;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    tableContainer: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 8,
+      overflow: "hidden",
+      marginBottom: 20,
+    },
+    headerCell: {
+      flexDirection: "row",
+      alignItems: "center",
+      justifyContent: "flex-start",
+      paddingHorizontal: 12,
+    },
+    sortIcon: {
+      marginLeft: 4,
+    },
+    headerCellNumeric: {
+      justifyContent: "flex-end",
+    },
+    numericCellText: {
+      textAlign: "right",
+      fontVariant: ["tabular-nums"],
+    },
+    dangerPercentText: {
+      color: colors.percent.danger,
+      fontWeight: "600",
+    },
+    warningPercentText: {
+      color: colors.percent.warning,
+      fontWeight: "600",
+    },
+    safePercentText: {
+      color: colors.percent.safe,
+      fontWeight: "600",
+    },
+    headerCellText: {
+      color: colors.onAccent,
+      fontWeight: "700",
+      fontSize: 14,
+    },
+    tableRowEven: {
+      backgroundColor: colors.rowAlt,
+    },
+    tableRowOdd: {
+      backgroundColor: colors.row,
+    },
+    tableCell: {
+      flex: 1,
+      justifyContent: "center",
+      paddingHorizontal: 12,
+      overflow: "hidden",
+    },
+    tableCellText: {
+      fontSize: 14,
+      color: colors.text,
+    },
+    changedCell: {
+      backgroundColor: colors.changedCell,
+    },
+    changedCellText: {
+      fontWeight: "700",
+    },
+    thresholdBadge: {
+      alignSelf: "flex-start",
+      borderRadius: 12,
+      paddingHorizontal: 10,
+      paddingVertical: 4,
+      backgroundColor: colors.subtleBackground,
+    },
+    thresholdBadgeText: {
+      fontSize: 12,
+      fontWeight: "600",
+      color: colors.textMuted,
+    },
+    safeBadge: {
+      backgroundColor: colors.badge.safe.background,
+    },
+    safeText: {
+      color: colors.badge.safe.text,
+    },
+    edgeBadge: {
+      backgroundColor: colors.badge.edge.background,
+    },
+    edgeText: {
+      color: colors.badge.edge.text,
+    },
+    belowBadge: {
+      backgroundColor: colors.badge.below.background,
+    },
+    belowText: {
+      color: colors.badge.below.text,
+    },
+  });
@@ -0,0 +1,87 @@
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import Svg, { Line, Polyline, Circle } from "react-native-svg";
+import { useTheme } from "react-native-paper";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+const PADDING = 6;
+
+// Simple line chart of percentage values over time, with a dashed line at
+// the target. Points are { fetchedAt, value } sorted oldest first; the line
+// uses the theme's chart colour unless `color` is given.
+const TrendChart = ({ points, target, width, height = 80, color }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const lineColor = color || colors.chartLine;
+
+  if (points.length === 0) {
+    return (
+      <View style={[styles.empty, { width, height }]}>
+        <Text style={styles.emptyText}>{t("history.noData")}</Text>
+      </View>
+    );
+  }
+
+  const first = points[0].fetchedAt;
+  const span = points[points.length - 1].fetchedAt - first || 1;
+  const innerWidth = width - PADDING * 2;
+  const innerHeight = height - PADDING * 2;
+
+  const x = (fetchedAt) =>
+    points.length === 1
+      ? width / 2
+      : PADDING + ((fetchedAt - first) / span) * innerWidth;
+  const y = (value) =>
+    PADDING + (1 - Math.min(Math.max(value, 0), 100) / 100) * innerHeight;
+
+  const coordinates = points
+    .map((point) => `${x(point.fetchedAt)},${y(point.value)}`)
+    .join(" ");
+  const last = points[points.length - 1];
+
+  return (
+    <Svg width={width} height={height}>
+      <Line
+        x1={PADDING}
+        x2={width - PADDING}
+        y1={y(target)}
+        y2={y(target)}
+        stroke={colors.chartTarget}
+        strokeWidth={1}
+        strokeDasharray='4 4'
+      />
+      {points.length > 1 && (
+        <Polyline
+          points={coordinates}
+          fill='none'
+          stroke={lineColor}
+          strokeWidth={2}
+        />
+      )}
+      <Circle
+        cx={x(last.fetchedAt)}
+        cy={y(last.value)}
+        r={3}
+        fill={lineColor}
+      />
+    </Svg>
+  );
+};
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    empty: {
+      justifyContent: "center",
+      alignItems: "center",
+      backgroundColor: colors.chartBackground,
+      borderRadius: 8,
+    },
+    emptyText: {
+      fontSize: 12,
+      color: colors.textSubtle,
+    },
+  });
+
+export default TrendChart;
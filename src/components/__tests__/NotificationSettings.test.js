@@ -0,0 +1,76 @@
+import React from "react";
+import { Switch } from "react-native";
+import * as Notifications from "expo-notifications";
+import { act, fireEvent, screen, waitFor } from "@testing-library/react-native";
+import { renderWithProviders } from "../../../jest/renderWithProviders";
+import { loadNotificationSettings } from "../../background/attendanceTask";
+import NotificationSettings from "../NotificationSettings";
+
+jest.mock("expo-notifications", () => ({
+  setNotificationHandler: jest.fn(),
+  getPermissionsAsync: jest.fn(),
+  requestPermissionsAsync: jest.fn(),
+}));
+
+jest.mock("expo-task-manager", () => ({
+  defineTask: jest.fn(),
+  isTaskRegisteredAsync: jest.fn(async () => false),
+}));
+
+jest.mock("expo-background-fetch", () => ({
+  registerTaskAsync: jest.fn(async () => {}),
+  unregisterTaskAsync: jest.fn(async () => {}),
+}));
+
+// The answer the system gives when asked for notification permission
+const allowNotifications = (granted) => {
+  Notifications.getPermissionsAsync.mockResolvedValue({ granted });
+  Notifications.requestPermissionsAsync.mockResolvedValue({ granted });
+};
+
+const renderSettings = async () => {
+  renderWithProviders(<NotificationSettings />);
+  await waitFor(() =>
+    expect(screen.getByTestId("session-status")).toHaveTextContent(
+      "unauthenticated:"
+    )
+  );
+  fireEvent.press(screen.getByText("Notifications"));
+};
+
+// Switches in the order they are shown
+const switches = () => screen.UNSAFE_getAllByType(Switch);
+
+describe("NotificationSettings", () => {
+  it("keeps both of two quick changes", async () => {
+    await renderSettings();
+
+    // Both land before the screen has re-rendered
+    const [, lowAttendance, newAbsence] = switches();
+    act(() => {
+      lowAttendance.props.onValueChange(false);
+      newAbsence.props.onValueChange(false);
+    });
+
+    await waitFor(async () => {
+      const saved = await loadNotificationSettings();
+      expect(saved.lowAttendance.enabled).toBe(false);
+      expect(saved.newAbsence.enabled).toBe(false);
+    });
+    expect(switches()[1].props.value).toBe(false);
+    expect(switches()[2].props.value).toBe(false);
+  });
+
+  it("says so when notification permission is refused", async () => {
+    allowNotifications(false);
+    await renderSettings();
+
+    fireEvent(switches()[0], "valueChange", true);
+
+    expect(
+      await screen.findByText(/Notifications are not allowed/)
+    ).toBeOnTheScreen();
+    expect((await loadNotificationSettings()).backgroundRefresh).toBe(false);
+    expect(switches()[0].props.value).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+import React from "react";
+import { Text, StyleSheet } from "react-native";
+import { fireEvent, screen, within } from "@testing-library/react-native";
+import { renderWithTheme } from "../../../jest/renderWithProviders";
+import {
+  normalizeAttendance,
+  subjectToRow,
+  tableHeadersFor,
+} from "../../lib/subjects";
+import { detectColumnTypes } from "../../lib/columnTypes";
+import SubjectTable from "../SubjectTable";
+import ColumnMeasurer from "../ColumnMeasurer";
+
+// Builds the table props from raw backend rows the way the dashboard does
+const tableProps = (rawRows) => {
+  const rows = normalizeAttendance(rawRows).subjects.map(subjectToRow);
+  const headers = tableHeadersFor(rows);
+  return {
+    rows,
+    allRows: rows,
+    headers,
+    columnTypes: detectColumnTypes(headers, rows),
+    sort: null,
+    onSort: jest.fn(),
+    target: 75,
+    showThreshold: true,
+    colorThresholds: { danger: 65, safe: 75 },
+  };
+};
+
+// Lays out every text the measurer renders at 8px per character
+const measureColumns = () => {
+  const measurer = screen.UNSAFE_getByType(ColumnMeasurer);
+  measurer.findAllByType(Text).forEach((text) => {
+    const width = String(text.props.children).length * 8;
+    fireEvent(text, "layout", { nativeEvent: { layout: { width } } });
+  });
+};
+
+// Width of the table column whose header reads `label`. The measurer's
+// copy of the label sits outside any sized cell and is skipped.
+const columnWidth = (label) => {
+  const widths = screen.getAllByText(label).map((text) => {
+    let node = text;
+    while (node && StyleSheet.flatten(node.props.style)?.width === undefined) {
+      node = node.parent;
+    }
+    return node && StyleSheet.flatten(node.props.style).width;
+  });
+  return widths.find(Boolean);
+};
+
+describe("column widths", () => {
+  const rawRows = [
+    {
+      code: "CS101-LAB-SECTION",
+      name: "Introduction to Quantum Computing and Information Theory",
+      held: 20,
+      attended: 18,
+    },
+    { code: "MA102", name: "Calculus", held: 20, attended: 13 },
+  ];
+
+  it("fits each column to its widest text within the limits", async () => {
+    await renderWithTheme(<SubjectTable {...tableProps(rawRows)} />);
+    measureColumns();
+
+    // "CS101-LAB-SECTION" plus cell padding
+    expect(columnWidth("Code")).toBe(17 * 8 + 24);
+    // Capped for the long subject name
+    expect(columnWidth("Subject")).toBe(200);
+    // Short numbers get the minimum width
+    expect(columnWidth("Held")).toBe(100);
+    expect(screen.UNSAFE_queryByType(ColumnMeasurer)).toBeNull();
+  });
+
+  it("uses a default width until the columns are measured", async () => {
+    await renderWithTheme(<SubjectTable {...tableProps(rawRows)} />);
+    expect(columnWidth("Code")).toBe(120);
+  });
+});
+
+describe("odd row shapes", () => {
+  it("renders rows that leave out fields or send numbers as text", async () => {
+    const rawRows = [
+      { subjectName: "Physics", total: "20", present: "15", faculty: "Dr. A" },
+      { subjectName: "Chemistry", total: 18, present: 18 },
+      { subjectName: "Biology", total: null, present: null },
+      "not a row",
+    ];
+    await renderWithTheme(<SubjectTable {...tableProps(rawRows)} />);
+    measureColumns();
+
+    // Extras only some rows have still get a column
+    expect(screen.getByText("Faculty")).toBeOnTheScreen();
+    ["Physics", "Chemistry", "Dr. A", "75%", "100%"].forEach((text) =>
+      expect(screen.getAllByText(text).length).toBeGreaterThan(0)
+    );
+    // Rows without counts or that are not objects are left out
+    expect(screen.queryByText("Biology")).toBeNull();
+    expect(normalizeAttendance(rawRows).errors).toHaveLength(2);
+  });
+
+  it("renders an empty dataset without measuring anything", async () => {
+    await renderWithTheme(<SubjectTable {...tableProps([])} />);
+    expect(screen.UNSAFE_queryByType(ColumnMeasurer)).toBeNull();
+    expect(screen.getByText("75% Target")).toBeOnTheScreen();
+  });
+});
@@ -0,0 +1,50 @@
+import Constants from "expo-constants";
+
+// Known backends, selected with EXPO_PUBLIC_API_ENV or `extra.apiEnv` in
+// app.json. Any other backend can be targeted directly with
+// EXPO_PUBLIC_API_URL or `extra.apiUrl`.
+export const API_ENVIRONMENTS = {
+  production: "https://sharda-attendance-backend.onrender.com",
+  staging: "https://sharda-attendance-backend-staging.onrender.com",
+  // 10.0.2.2 is the host machine as seen from the Android emulator
+  local: "http://10.0.2.2:3000",
+};
+
+const extra = Constants.expoConfig?.extra || {};
+
+const resolveApiUrl = () => {
+  const explicitUrl = process.env.EXPO_PUBLIC_API_URL || extra.apiUrl;
+  if (explicitUrl) return explicitUrl.replace(/\/+$/, "");
+
+  const environment =
+    process.env.EXPO_PUBLIC_API_ENV || extra.apiEnv || "production";
+  // A typo must not quietly point a dev build at the production backend
+  if (!API_ENVIRONMENTS[environment]) {
+    const known = Object.keys(API_ENVIRONMENTS).join(", ");
+    throw new Error(
+      `Unknown API environment "${environment}" (expected one of ${known})`
+    );
+  }
+  return API_ENVIRONMENTS[environment];
+};
+
+export const API_URL = resolveApiUrl();
+
+// Generous because the free backend instance can take a while to wake up
+export const REQUEST_TIMEOUT_MS = 60000;
+
+// Retried calls give up on each attempt much sooner, and stop retrying once
+// the attempts together have taken RETRY_BUDGET_MS, so an error still shows
+// up within about a minute
+export const RETRY_ATTEMPT_TIMEOUT_MS = 15000;
+export const RETRY_BUDGET_MS = 45000;
+
+// Must match "scheme" in app.json and the native URL scheme registrations
+export const APP_SCHEME = "myattendanceapp";
+
+// Serve bundled demo data instead of calling a backend (see demo/). "1" or
+// a scenario name, from EXPO_PUBLIC_DEMO_MODE or `extra.demoMode`; the
+// hidden developer menu can still change it at run time.
+export const DEMO_MODE = String(
+  process.env.EXPO_PUBLIC_DEMO_MODE || extra.demoMode || ""
+).trim();
@@ -0,0 +1,109 @@
+import * as SecureStore from "expo-secure-store";
+import { login, register, getAttendance } from "../../api/endpoints";
+import { classifyError, MAX_RETRIES } from "../../api/client";
+import { normalizeAttendance } from "../../lib/subjects";
+import { DEMO_ACCOUNT } from "../demoBackend";
+import { getDemoMode, setDemoMode } from "../demoMode";
+import { loadAccounts, saveAccount } from "../../storage/secureSession";
+import {
+  loadCachedAttendance,
+  saveCachedAttendance,
+} from "../../storage/attendanceCache";
+
+// Runs a request while moving the fake clock past the demo latency and any
+// retry backoff
+const settle = async (request) => {
+  let done = false;
+  const result = request.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  result.then(() => (done = true));
+  while (!done) await jest.advanceTimersByTimeAsync(1000);
+  return result;
+};
+
+const useScenario = (scenario) => setDemoMode({ enabled: true, scenario });
+
+const logInToDemo = async () =>
+  (await settle(login(DEMO_ACCOUNT.systemId, DEMO_ACCOUNT.password))).value;
+
+afterEach(() => setDemoMode({ enabled: false, scenario: "typical" }));
+
+describe("demo mode", () => {
+  it("is off without the build flag", () => {
+    expect(getDemoMode()).toEqual({ enabled: false, scenario: "typical" });
+  });
+
+  it("logs in the demo account and rejects wrong passwords", async () => {
+    await useScenario("typical");
+    expect(await logInToDemo()).toEqual(expect.any(String));
+
+    const { error } = await settle(login(DEMO_ACCOUNT.systemId, "nope"));
+    expect(error.response.status).toBe(401);
+  });
+
+  it("lets a registered account log in", async () => {
+    await useScenario("typical");
+    await settle(register("newcomer", "pw"));
+    expect((await settle(login("newcomer", "pw"))).value).toEqual(
+      expect.any(String)
+    );
+  });
+
+  it("serves attendance the app can read", async () => {
+    await useScenario("typical");
+    const token = await logInToDemo();
+    const { value: rows } = await settle(getAttendance(token));
+
+    const { subjects, errors } = normalizeAttendance(rows);
+    expect(errors).toEqual([]);
+    expect(subjects).toHaveLength(7);
+    expect(subjects[0].lectures.length).toBe(subjects[0].held);
+  });
+
+  it("serves an empty and a large dataset", async () => {
+    await useScenario("empty");
+    const token = await logInToDemo();
+    expect((await settle(getAttendance(token))).value).toEqual([]);
+
+    await useScenario("large");
+    const { value: rows } = await settle(getAttendance(token));
+    expect(normalizeAttendance(rows).subjects.length).toBeGreaterThan(50);
+  });
+
+  it("rejects the session in the expired session scenario", async () => {
+    await useScenario("expiredSession");
+    const token = await logInToDemo();
+    const { error } = await settle(getAttendance(token));
+    expect(error.sessionExpired).toBe(true);
+  });
+
+  it("keeps failing with a server error after the retries", async () => {
+    await useScenario("serverError");
+    const token = await logInToDemo();
+    const { error } = await settle(getAttendance(token));
+    expect(classifyError(error)).toBe("server");
+    expect(error.config.retryCount).toBe(MAX_RETRIES + 1);
+  });
+
+  it("keeps demo accounts and data apart from real ones", async () => {
+    await saveAccount("S1", { token: "real-token" });
+    await saveCachedAttendance("S1", [{ subject: "Real" }]);
+
+    await useScenario("typical");
+    expect((await loadAccounts()).accounts).toEqual([]);
+    await saveAccount("S1", { token: "demo-token" });
+    expect(await loadCachedAttendance("S1")).toBeNull();
+
+    await setDemoMode({ enabled: false, scenario: "typical" });
+    expect(await loadAccounts()).toEqual({
+      activeId: "S1",
+      accounts: [{ systemId: "S1", label: "S1" }],
+    });
+    expect(SecureStore.__store.get("jwtToken_S1")).toBe("real-token");
+    expect((await loadCachedAttendance("S1")).attendance).toEqual([
+      { subject: "Real" },
+    ]);
+  });
+});
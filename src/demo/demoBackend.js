@@ -0,0 +1,109 @@
+import { AxiosError } from "axios";
+import { typicalAttendance, largeAttendance } from "./fixtures";
+
+// Stand-in for the backend that answers from fixtures, installed as the
+// API client's adapter (see demoMode.js) so requests still go through the
+// client and endpoints. The scenario decides how /attendance answers:
+//   typical         a semester of realistic attendance
+//   empty           no records yet
+//   large           many subjects with long histories
+//   expiredSession  the server no longer accepts the session (401)
+//   serverError     the server keeps failing (503)
+// Login and registration work the same in every scenario.
+
+export const DEMO_SCENARIOS = [
+  "typical",
+  "empty",
+  "large",
+  "expiredSession",
+  "serverError",
+];
+
+export const DEMO_ACCOUNT = { systemId: "demo", password: "demo" };
+
+// Enough delay for loading states to show
+const LATENCY_MS = 600;
+const TOKEN_LIFETIME_S = 7 * 24 * 60 * 60;
+
+// Accounts registered while the app runs can log in until it restarts
+const accounts = new Map([[DEMO_ACCOUNT.systemId, DEMO_ACCOUNT.password]]);
+
+const base64Url = (value) =>
+  btoa(JSON.stringify(value))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+// Readable like the real token; nothing checks the signature
+const issueToken = (systemId) =>
+  [
+    base64Url({ alg: "HS256", typ: "JWT" }),
+    base64Url({
+      sub: systemId,
+      exp: Math.floor(Date.now() / 1000) + TOKEN_LIFETIME_S,
+    }),
+    "demo",
+  ].join(".");
+
+const readBody = (data) => {
+  try {
+    return typeof data === "string" ? JSON.parse(data) : data || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const ATTENDANCE = {
+  typical: () => [200, { attendance: typicalAttendance() }],
+  empty: () => [200, { attendance: [], message: "No attendance records" }],
+  large: () => [200, { attendance: largeAttendance() }],
+  expiredSession: () => [401, { message: "Session expired" }],
+  serverError: () => [503, { message: "Service unavailable" }],
+};
+
+// [status, body] for a request
+const respond = (scenario, { method, url, data, headers }) => {
+  const body = readBody(data);
+
+  switch (`${method.toUpperCase()} ${url}`) {
+    case "GET /":
+      return [200, "OK"];
+    case "POST /register":
+      if (!body.systemId || !body.password) {
+        return [400, { message: "System ID and password are required" }];
+      }
+      if (accounts.has(body.systemId)) {
+        return [409, { message: "This system ID is already registered" }];
+      }
+      accounts.set(body.systemId, body.password);
+      return [201, { message: "Registration successful! You can now log in." }];
+    case "POST /login":
+      return accounts.get(body.systemId) === body.password
+        ? [200, { token: issueToken(body.systemId) }]
+        : [401, { message: "Invalid system ID or password" }];
+    case "POST /attendance":
+      if (!headers?.Authorization) {
+        return [401, { message: "No token provided" }];
+      }
+      return (ATTENDANCE[scenario] || ATTENDANCE.typical)();
+    default:
+      return [404, { message: "Not found" }];
+  }
+};
+
+export const createDemoAdapter =
+  (scenario, { latency = LATENCY_MS } = {}) =>
+  async (config) => {
+    await new Promise((resolve) => setTimeout(resolve, latency));
+    const [status, data] = respond(scenario, config);
+    const response = { data, status, statusText: "", headers: {}, config };
+    if (config.validateStatus(status)) return response;
+
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      null,
+      response
+    );
+  };
@@ -0,0 +1,65 @@
+import { getSetting, setSetting } from "../storage/settings";
+import { DEMO_MODE } from "../config";
+import { DEMO_SCENARIOS, createDemoAdapter } from "./demoBackend";
+
+// Whether API requests go to the demo backend, and with which scenario:
+// { enabled, scenario }. The build flag (DEMO_MODE in config.js) sets the
+// default and the hidden developer menu saves an override.
+
+const STORAGE_KEY = "demoMode";
+// Secure store keys may only use letters, digits, ".", "-" and "_"
+const DEMO_KEY_PREFIX = "demo_";
+
+const BUILD_DEFAULT = {
+  enabled: DEMO_MODE !== "" && DEMO_MODE !== "0" && DEMO_MODE !== "false",
+  scenario: DEMO_SCENARIOS.includes(DEMO_MODE) ? DEMO_MODE : "typical",
+};
+
+let demoMode = BUILD_DEFAULT;
+let loaded = null;
+const listeners = new Set();
+
+const isValid = (value) =>
+  typeof value?.enabled === "boolean" &&
+  DEMO_SCENARIOS.includes(value.scenario);
+
+const apply = (next) => {
+  demoMode = next;
+  listeners.forEach((listener) => listener(demoMode));
+};
+
+// Reads the saved choice once. Requests wait for it, so even the first one
+// after launch (or in the background task) goes to the right backend.
+export const loadDemoMode = () => {
+  if (!loaded) {
+    loaded = getSetting(STORAGE_KEY, null).then((saved) => {
+      if (isValid(saved)) apply(saved);
+    });
+  }
+  return loaded.then(() => demoMode);
+};
+
+export const getDemoMode = () => demoMode;
+
+export const setDemoMode = async (next) => {
+  await loadDemoMode();
+  apply(next);
+  await setSetting(STORAGE_KEY, next);
+};
+
+// Key under which per-account data is stored. While demo mode is on, saved
+// accounts, tokens, caches and timetables live under their own prefix, so
+// they never mix with (or overwrite) those of real accounts.
+export const accountStorageKey = async (key) =>
+  (await loadDemoMode()).enabled ? `${DEMO_KEY_PREFIX}${key}` : key;
+
+export const subscribeDemoMode = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Adapter the API client should use instead of the network, or null
+export const getDemoAdapter = async () => {
+  const { enabled, scenario } = await loadDemoMode();
+  return enabled ? createDemoAdapter(scenario) : null;
+};
@@ -0,0 +1,63 @@
+import { toDateKey } from "../lib/lectures";
+
+// Attendance the demo backend serves, shaped like the real backend's rows:
+// class counts, the faculty and the date-wise lectures behind the counts.
+// Lecture dates end today so the data always looks current.
+
+// [code, subject, faculty, share of lectures attended]
+const SUBJECTS = [
+  ["CSE301", "Design and Analysis of Algorithms", "Dr. Meera Nair", 0.92],
+  ["CSE302", "Operating Systems", "Prof. Arjun Rao", 0.81],
+  ["CSE303", "Database Management Systems", "Dr. Kavita Sharma", 0.74],
+  ["CSE304", "Computer Networks", "Prof. Rahul Verma", 0.68],
+  ["MTH301", "Probability and Statistics", "Dr. Sanjay Gupta", 0.86],
+  ["HSS301", "Professional Communication", "Ms. Priya Menon", 0.95],
+  ["CSE305", "Operating Systems Lab", "Prof. Arjun Rao", 0.58],
+];
+
+const SECTIONS = ["A", "B", "C", "D", "E", "F", "G", "H", "I"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same sequence on every run, so a scenario always shows the same data
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+// One lecture every other day, the latest today
+const subjectRow = ([code, subject, faculty, rate], count, random, today) => {
+  const lectures = Array.from({ length: count }, (_, index) => ({
+    date: toDateKey(new Date(today - (count - 1 - index) * 2 * DAY_MS)),
+    status: random() < rate ? "P" : "A",
+  }));
+  const attended = lectures.filter((lecture) => lecture.status === "P").length;
+  return {
+    code,
+    subject,
+    faculty,
+    held: count,
+    attended,
+    percentage: Math.round((attended / count) * 1000) / 10,
+    lectures,
+  };
+};
+
+export const typicalAttendance = (today = Date.now()) => {
+  const random = seededRandom(7);
+  return SUBJECTS.map((subject) => subjectRow(subject, 30, random, today));
+};
+
+// Every subject in every section, with a longer history
+export const largeAttendance = (today = Date.now()) => {
+  const random = seededRandom(11);
+  return SECTIONS.flatMap((section) =>
+    SUBJECTS.map(([code, subject, faculty, rate]) =>
+      subjectRow(
+        [`${code}-${section}`, `${subject} (${section})`, faculty, rate],
+        60,
+        random,
+        today
+      )
+    )
+  );
+};
@@ -0,0 +1,60 @@
+import * as FileSystem from "expo-file-system";
+import * as Print from "expo-print";
+import * as Sharing from "expo-sharing";
+import { buildCsv, buildReportHtml, exportFileName } from "../lib/exportReport";
+import { t } from "../i18n";
+
+// Writes exports to the cache directory so the OS can clear them later and
+// hands them to the share sheet.
+
+const ensureSharing = async () => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t("export.unavailable"));
+  }
+};
+
+// Replaces any earlier export with the same name
+const moveIntoCache = async (from, name) => {
+  const to = `${FileSystem.cacheDirectory}${name}`;
+  await FileSystem.deleteAsync(to, { idempotent: true });
+  await FileSystem.moveAsync({ from, to });
+  return to;
+};
+
+export const shareAttendanceCsv = async (report) => {
+  await ensureSharing();
+
+  const uri = `${FileSystem.cacheDirectory}${exportFileName(
+    report.systemId,
+    report.fetchedAt,
+    "csv"
+  )}`;
+  // Leading BOM so Excel reads the file as UTF-8
+  await FileSystem.writeAsStringAsync(uri, `\uFEFF${buildCsv(report)}`, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  await Sharing.shareAsync(uri, {
+    mimeType: "text/csv",
+    UTI: "public.comma-separated-values-text",
+    dialogTitle: t("export.csvDialog"),
+  });
+};
+
+export const shareAttendancePdf = async (report) => {
+  await ensureSharing();
+
+  const { uri: printed } = await Print.printToFileAsync({
+    html: buildReportHtml(report),
+  });
+  const uri = await moveIntoCache(
+    printed,
+    exportFileName(report.systemId, report.fetchedAt, "pdf")
+  );
+
+  await Sharing.shareAsync(uri, {
+    mimeType: "application/pdf",
+    UTI: "com.adobe.pdf",
+    dialogTitle: t("export.pdfDialog"),
+  });
+};
@@ -0,0 +1,388 @@
+// English messages. This is the reference catalog: every key used in the
+// app lives here, and missing Hindi messages fall back to it.
+export default {
+  common: {
+    listSeparator: ", ",
+    cancel: "Cancel",
+    continue: "Continue",
+    retry: "Retry",
+    dismiss: "Dismiss",
+    decrease: "Decrease",
+    increase: "Increase",
+  },
+  app: {
+    title: "Attendance Tracker",
+  },
+  errors: {
+    network: "Can't reach the server. Check your internet connection.",
+    timeout:
+      "The server took too long to respond. It may still be waking up, so try again in a moment.",
+    server: "The server ran into a problem. Please try again shortly.",
+    credentials: "Incorrect System ID or password.",
+  },
+  serverStatus: {
+    unknown: "Connecting…",
+    waking: "Server waking up…",
+    online: "Server online",
+    unreachable: "Server unreachable · tap to retry",
+  },
+  session: {
+    expired: "Your session has expired. Please login again.",
+    expiredShort: "Session expired",
+    expiresIn: "Session expires in {duration}",
+    expiringTitle: "Session expiring",
+    expiringPrompt:
+      "Your session expires in {duration}. Log in again to avoid losing access.",
+    logInAgain: "Log in again",
+    logInAgainPrompt: "Please log in again to continue.",
+    welcomeBack: "Welcome back!",
+    missingCredentials: "Please provide both system ID and password.",
+    logInToAccount: "Please log in to this account.",
+    loginSuccess: "Login successful!",
+    loginFailed: "Login failed. Please check your credentials.",
+    registerSuccess: "Registration successful!",
+    registerFailed: "Registration failed. Please try again.",
+    gmailNeedsSystemId:
+      "Please enter your system ID before Gmail authentication.",
+    gmailStartFailed:
+      "Failed to initiate Gmail authentication. Please try again.",
+    gmailComplete: "Gmail authentication complete!",
+    gmailCancelled: "Gmail authentication was cancelled.",
+    loggedOut: "Logged out successfully.",
+    logoutFailed: "Error logging out.",
+    accountRemoved: "Account removed from this device.",
+  },
+  gmail: {
+    unverified: "Gmail sign-in could not be verified. Please try again.",
+    timedOut: "Gmail sign-in took too long. Please try again.",
+    failed: "Gmail sign-in failed: {error}",
+    noSession: "Gmail sign-in did not return a session.",
+    unexpectedAddress: "Gmail sign-in returned to an unexpected address.",
+  },
+  duration: {
+    underMinute: "less than a minute",
+    minutes: "{minutes} min",
+    hoursMinutes: "{hours} h {minutes} min",
+    hours: "{hours} h",
+    days: { one: "{count} day", other: "{count} days" },
+  },
+  login: {
+    subtitle: "Sign in to access your attendance",
+    systemId: "System ID",
+    systemIdPlaceholder: "Enter your system ID",
+    password: "Password",
+    passwordPlaceholder: "Enter your password",
+    submit: "Login",
+    gmail: "Authenticate with Gmail",
+    createAccount: "New here? Create an account",
+  },
+  register: {
+    title: "Create an account",
+    intro:
+      "Register your college system ID and password to start tracking your attendance.",
+    submit: "Register",
+  },
+  accounts: {
+    saved: "Saved accounts",
+    add: "Add account",
+    removeTitle: "Remove account",
+    removePrompt: "Remove {label} and its saved attendance from this device?",
+    remove: "Remove",
+  },
+  attendance: {
+    signInFirst: "Please login (or authenticate with Gmail) first.",
+    expiringPrompt:
+      "Your session is about to expire. Log in again before fetching?",
+    fetched: "Attendance fetched successfully!",
+    noRecords: "No attendance records found.",
+    fetchFailed: "Error fetching attendance. Please try again.",
+  },
+  dashboard: {
+    welcome: "Welcome, {systemId}",
+    logout: "Logout",
+    fetch: "Fetch Attendance",
+    fetching: "Fetching attendance data...",
+    planner: "What-if planner",
+    forecast: "Forecast by date",
+    detailsTitle: "Attendance Details",
+    records: { one: "{count} record found", other: "{count} records found" },
+    recordsShown: {
+      one: "{shown} of {count} record found",
+      other: "{shown} of {count} records found",
+    },
+    lastUpdated: "Last updated {time}",
+    staleSince: "Stale since {time}",
+    views: { table: "Table", history: "History" },
+    rowErrorsTitle: "Rows that could not be read",
+    rowErrors: {
+      one: "{count} row could not be read · tap for details",
+      other: "{count} rows could not be read · tap for details",
+    },
+    search: "Search all columns",
+    empty: "No attendance records found",
+    noMatches: "No records match your search or filter",
+  },
+  tableView: {
+    filters: {
+      all: "All",
+      below75: "Below {target}%",
+      belowTarget: "Below target",
+    },
+  },
+  table: {
+    targetColumn: "{target}% Target",
+  },
+  fields: {
+    code: "Code",
+    name: "Subject",
+    held: "Held",
+    attended: "Attended",
+    percentage: "Percentage",
+  },
+  subjects: {
+    unknownFormat:
+      "The server sent attendance in a format this app does not recognise.",
+    rowError: "Row {row}: {reason}",
+    errors: {
+      notObject: "not an object",
+      noName: "no subject name or code",
+      badLecture: "unreadable lecture date or status",
+      noCounts: "missing class counts",
+      noPercentage: "missing attendance percentage",
+      negative: "negative class count",
+      attendedOverHeld: "attended ({attended}) is more than held ({held})",
+      percentageRange: "percentage {percentage} is out of range",
+      duplicate: 'duplicate subject "{id}"',
+    },
+  },
+  threshold: {
+    aboveTarget: "Above target",
+    canSkip: "Can skip {count}",
+    cantSkip: "Can't skip any",
+    belowTarget: "Below target",
+    unreachable: "Target unreachable",
+    attendNext: "Attend next {count}",
+    explain: {
+      unknown: "There is not enough data to work out your attendance.",
+      percentageOnlySafe:
+        "Only the percentage is known, so the number of classes you can skip or must attend cannot be worked out. You are at or above {target}%.",
+      percentageOnlyBelow:
+        "Only the percentage is known, so the number of classes you can skip or must attend cannot be worked out. You are below {target}%.",
+      current: "You attended {attended} of {total} classes ({percent}).",
+      unreachable:
+        "{current} Having missed a class, you can no longer reach {target}%.",
+      mustAttend: {
+        one: "{current} Attending the next class brings you to {attended} of {total} ({percent}), at or above {target}%.",
+        other:
+          "{current} Attending the next {count} classes brings you to {attended} of {total} ({percent}), at or above {target}%.",
+      },
+      edge: "{current} Missing the next class would take you below {target}%.",
+      canSkip: {
+        one: "{current} You can miss the next class and stay at {attended} of {total} ({percent}), at or above {target}%.",
+        other:
+          "{current} You can miss the next {count} classes and stay at {attended} of {total} ({percent}), at or above {target}%.",
+      },
+    },
+  },
+  diff: {
+    updated: "Updated {name}",
+    counts: "({held} held, {attended} attended)",
+    markedAbsent: "Marked absent in {name} {counts}",
+    markedPresent: "Marked present in {name} {counts}",
+    updatedCounts: "Updated {name} {counts}",
+    added: "New subject: {name}",
+    removed: "Subject removed: {name}",
+    none: "No changes since last fetch.",
+    more: {
+      one: "…and {count} more change",
+      other: "…and {count} more changes",
+    },
+  },
+  history: {
+    empty: "History will appear here after your first successful fetch.",
+    noData: "No data yet",
+    overall: "Overall",
+    range: {
+      one: "{count} snapshot since {since}",
+      other: "{count} snapshots since {since}",
+    },
+  },
+  subject: {
+    title: "Subject",
+    missing: "This subject is not in your latest attendance.",
+    missed: "Missed",
+    attendance: "Attendance",
+    lectures: "Lectures",
+    allDetails: "All details",
+  },
+  heatmap: {
+    present: "Present",
+    mixed: "Mixed",
+    absent: "Absent",
+    other: "Other",
+    presentCount: "{count} present",
+    absentCount: "{count} absent",
+    otherCount: "{count} other",
+  },
+  planner: {
+    title: "What-if planner",
+    empty:
+      "The planner needs the number of classes held and attended for each subject. Fetch your attendance first; subjects that only have a percentage cannot be planned.",
+    overallNow: "Overall now",
+    after: {
+      one: "After {count} planned class",
+      other: "After {count} planned classes",
+    },
+    clear: "Clear plan",
+    now: "Now",
+    projected: "Projected",
+    attend: "Attend",
+    miss: "Miss",
+  },
+  forecast: {
+    title: "Forecast",
+    noSubjects:
+      "The forecast needs the number of classes held and attended for each subject. Fetch your attendance first.",
+    noTimetable:
+      "Add your weekly timetable to see where your attendance is heading.",
+    setUpTimetable: "Set up timetable",
+    editTimetable: "Edit timetable",
+    until: "Forecast up to",
+    invalidDate: "Enter a date after today, such as 2025-05-31.",
+    presets: {
+      twoWeeks: "In 2 weeks",
+      oneMonth: "In 1 month",
+      examCutoff: "Exam cutoff",
+      semesterEnd: "Semester end",
+    },
+    rate: "Classes I will attend",
+    notScheduled: "Not in your timetable, so no further classes are expected.",
+    on: "On {date}",
+    moreClasses: { one: "{count} more class", other: "{count} more classes" },
+    riskyTitle: "Skipping on these days takes you below {target}%:",
+    andMore: "and {count} more",
+  },
+  timetable: {
+    title: "Timetable",
+    semester: "Semester",
+    semesterEnds: "Semester ends",
+    examCutoff: "Exam attendance cutoff",
+    invalidDate: "{label}: enter a date such as 2025-05-31 or 31/05/2025.",
+    addClass: "Add a class",
+    noSubjects:
+      "Fetch your attendance first so the timetable can use your subjects.",
+    day: "Day",
+    startsAt: "Starts at",
+    chooseSubject: "Choose a subject first.",
+    invalidTime: "Enter the start time as HH:MM, for example 09:30.",
+    import: "Import from a calendar (.ics) file",
+    importing: "Importing...",
+    importFailed: "Could not read that calendar file.",
+    noEvents: "No timed events were found in that file.",
+    imported: {
+      one: "Imported {count} weekly class.",
+      other: "Imported {count} weekly classes.",
+    },
+    unmatched:
+      "Not matched to a subject, add these by hand if they are classes: {titles}",
+    weekly: "Weekly timetable",
+    empty: "No classes added yet.",
+    removeSlot: "Remove {name} on {day} at {time}",
+    clear: "Clear timetable",
+    clearPrompt: "Remove every class from the timetable?",
+    clearConfirm: "Clear",
+  },
+  export: {
+    button: "Export",
+    menuTitle: "Share / Export",
+    shareAll: "Share all subjects.",
+    shareShown: {
+      one: "Share the {count} subject currently shown.",
+      other: "Share the {count} subjects currently shown.",
+    },
+    csv: "CSV",
+    pdf: "PDF report",
+    failed: "Could not export attendance.",
+    unavailable: "Sharing is not available on this device.",
+    csvDialog: "Share attendance (CSV)",
+    pdfDialog: "Share attendance report (PDF)",
+  },
+  report: {
+    title: "Attendance Report",
+    studentId: "Student ID",
+    fetched: "Attendance fetched",
+    generated: "Report generated",
+    target: "Required attendance",
+    unknown: "Unknown",
+    empty: "No subjects match the current search or filter.",
+  },
+  notifications: {
+    lowTitleOne: "Low attendance in {name}",
+    lowTitleMany: "Low attendance in {count} subjects",
+    lowBody: "{name} is at {percent} (below {threshold}%)",
+    absenceTitle: {
+      one: "New absence recorded",
+      other: "{count} new absences recorded",
+    },
+  },
+  settings: {
+    title: "Settings",
+    accounts: "Accounts",
+    logOutOf: "Log out of {systemId}",
+    appearance: "Appearance",
+    themes: { system: "System", light: "Light", dark: "Dark" },
+    language: "Language",
+    attendance: "Attendance",
+    requiredAttendance: "Required attendance",
+    redBelow: "Red below",
+    greenFrom: "Green from",
+  },
+  notificationSettings: {
+    title: "Notifications",
+    backgroundRefresh: "Background refresh",
+    backgroundRefreshHint:
+      "Check attendance periodically while the app is closed",
+    lowAttendance: "Low attendance alert",
+    lowAttendanceHint: "Notify when a subject drops below",
+    newAbsence: "New absence alert",
+    newAbsenceHint: "Notify when a new absence is recorded",
+    quietHours: "Quiet hours",
+    quietHoursHint: "Hold notifications until the window ends",
+    from: "From",
+    to: "to",
+    permissionDenied:
+      "Notifications are not allowed for this app, so background refresh stays off. Allow them in the system settings.",
+  },
+  demo: {
+    title: "Developer options",
+    enable: "Demo mode",
+    enableHint:
+      "Answer login, registration and attendance requests with built-in data instead of the server.",
+    account:
+      "Log in as {systemId} with the password {password}, or register any other ID.",
+    scenario: "Scenario",
+    badge: "Demo data · {scenario}",
+    scenarios: {
+      typical: {
+        title: "Typical semester",
+        description: "Seven subjects with a few below the target.",
+      },
+      empty: {
+        title: "No records",
+        description: "The server has no attendance yet.",
+      },
+      large: {
+        title: "Large dataset",
+        description: "Dozens of subjects with long lecture histories.",
+      },
+      expiredSession: {
+        title: "Expired session",
+        description: "Logging in works, then the server rejects the session.",
+      },
+      serverError: {
+        title: "Server errors",
+        description: "Attendance requests keep failing with a server error.",
+      },
+    },
+  },
+};
@@ -0,0 +1,392 @@
+// Hindi messages, keyed like en.js. Technical terms that students use as
+// is (Gmail, CSV, PDF, system ID) are kept in English.
+export default {
+  common: {
+    listSeparator: ", ",
+    cancel: "रद्द करें",
+    continue: "जारी रखें",
+    retry: "फिर कोशिश करें",
+    dismiss: "बंद करें",
+    decrease: "घटाएँ",
+    increase: "बढ़ाएँ",
+  },
+  app: {
+    title: "अटेंडेंस ट्रैकर",
+  },
+  errors: {
+    network: "सर्वर से संपर्क नहीं हो पा रहा। अपना इंटरनेट कनेक्शन जाँचें।",
+    timeout:
+      "सर्वर ने जवाब देने में बहुत देर लगाई। हो सकता है वह अभी शुरू हो रहा हो, थोड़ी देर में फिर कोशिश करें।",
+    server: "सर्वर में कोई समस्या आई। कृपया थोड़ी देर बाद फिर कोशिश करें।",
+    credentials: "सिस्टम आईडी या पासवर्ड गलत है।",
+  },
+  serverStatus: {
+    unknown: "कनेक्ट हो रहा है…",
+    waking: "सर्वर शुरू हो रहा है…",
+    online: "सर्वर ऑनलाइन है",
+    unreachable: "सर्वर उपलब्ध नहीं · फिर कोशिश करने के लिए टैप करें",
+  },
+  session: {
+    expired: "आपका सत्र समाप्त हो गया है। कृपया फिर से लॉग इन करें।",
+    expiredShort: "सत्र समाप्त",
+    expiresIn: "सत्र {duration} में समाप्त होगा",
+    expiringTitle: "सत्र समाप्त होने वाला है",
+    expiringPrompt:
+      "आपका सत्र {duration} में समाप्त होगा। पहुँच बनाए रखने के लिए फिर से लॉग इन करें।",
+    logInAgain: "फिर से लॉग इन करें",
+    logInAgainPrompt: "जारी रखने के लिए कृपया फिर से लॉग इन करें।",
+    welcomeBack: "वापसी पर स्वागत है!",
+    missingCredentials: "कृपया system ID और पासवर्ड दोनों दर्ज करें।",
+    logInToAccount: "कृपया इस खाते में लॉग इन करें।",
+    loginSuccess: "लॉग इन सफल रहा!",
+    loginFailed: "लॉग इन विफल रहा। कृपया अपनी जानकारी जाँचें।",
+    registerSuccess: "पंजीकरण सफल रहा!",
+    registerFailed: "पंजीकरण विफल रहा। कृपया फिर कोशिश करें।",
+    gmailNeedsSystemId:
+      "Gmail से प्रमाणीकरण से पहले कृपया अपनी system ID दर्ज करें।",
+    gmailStartFailed:
+      "Gmail प्रमाणीकरण शुरू नहीं हो सका। कृपया फिर कोशिश करें।",
+    gmailComplete: "Gmail प्रमाणीकरण पूरा हुआ!",
+    gmailCancelled: "Gmail प्रमाणीकरण रद्द कर दिया गया।",
+    loggedOut: "सफलतापूर्वक लॉग आउट हो गया।",
+    logoutFailed: "लॉग आउट करने में त्रुटि।",
+    accountRemoved: "खाता इस डिवाइस से हटा दिया गया।",
+  },
+  gmail: {
+    unverified: "Gmail साइन-इन की पुष्टि नहीं हो सकी। कृपया फिर कोशिश करें।",
+    timedOut: "Gmail साइन-इन में बहुत देर लगी। कृपया फिर कोशिश करें।",
+    failed: "Gmail साइन-इन विफल रहा: {error}",
+    noSession: "Gmail साइन-इन से कोई सत्र नहीं मिला।",
+    unexpectedAddress: "Gmail साइन-इन किसी अनपेक्षित पते पर लौटा।",
+  },
+  duration: {
+    underMinute: "एक मिनट से कम",
+    minutes: "{minutes} मिनट",
+    hoursMinutes: "{hours} घं {minutes} मिनट",
+    hours: "{hours} घं",
+    days: { one: "{count} दिन", other: "{count} दिन" },
+  },
+  login: {
+    subtitle: "अपनी उपस्थिति देखने के लिए साइन इन करें",
+    systemId: "System ID",
+    systemIdPlaceholder: "अपनी system ID दर्ज करें",
+    password: "पासवर्ड",
+    passwordPlaceholder: "अपना पासवर्ड दर्ज करें",
+    submit: "लॉग इन",
+    gmail: "Gmail से प्रमाणित करें",
+    createAccount: "नए हैं? खाता बनाएँ",
+  },
+  register: {
+    title: "खाता बनाएँ",
+    intro:
+      "अपनी उपस्थिति ट्रैक करना शुरू करने के लिए अपनी कॉलेज system ID और पासवर्ड पंजीकृत करें।",
+    submit: "पंजीकरण करें",
+  },
+  accounts: {
+    saved: "सहेजे गए खाते",
+    add: "खाता जोड़ें",
+    removeTitle: "खाता हटाएँ",
+    removePrompt: "{label} और उसकी सहेजी गई उपस्थिति इस डिवाइस से हटाएँ?",
+    remove: "हटाएँ",
+  },
+  attendance: {
+    signInFirst: "कृपया पहले लॉग इन करें (या Gmail से प्रमाणित करें)।",
+    expiringPrompt:
+      "आपका सत्र समाप्त होने वाला है। उपस्थिति लाने से पहले फिर से लॉग इन करें?",
+    fetched: "उपस्थिति सफलतापूर्वक प्राप्त हुई!",
+    noRecords: "कोई उपस्थिति रिकॉर्ड नहीं मिला।",
+    fetchFailed: "उपस्थिति प्राप्त करने में त्रुटि। कृपया फिर कोशिश करें।",
+  },
+  dashboard: {
+    welcome: "स्वागत है, {systemId}",
+    logout: "लॉग आउट",
+    fetch: "उपस्थिति प्राप्त करें",
+    fetching: "उपस्थिति का डेटा लाया जा रहा है...",
+    planner: "क्या-अगर प्लानर",
+    forecast: "तारीख़ के अनुसार पूर्वानुमान",
+    detailsTitle: "उपस्थिति विवरण",
+    records: { one: "{count} रिकॉर्ड मिला", other: "{count} रिकॉर्ड मिले" },
+    recordsShown: {
+      one: "{count} में से {shown} रिकॉर्ड",
+      other: "{count} में से {shown} रिकॉर्ड",
+    },
+    lastUpdated: "अंतिम अपडेट {time}",
+    staleSince: "{time} से पुराना डेटा",
+    views: { table: "तालिका", history: "इतिहास" },
+    rowErrorsTitle: "पंक्तियाँ जो पढ़ी नहीं जा सकीं",
+    rowErrors: {
+      one: "{count} पंक्ति पढ़ी नहीं जा सकी · विवरण के लिए टैप करें",
+      other: "{count} पंक्तियाँ पढ़ी नहीं जा सकीं · विवरण के लिए टैप करें",
+    },
+    search: "सभी कॉलम में खोजें",
+    empty: "कोई उपस्थिति रिकॉर्ड नहीं मिला",
+    noMatches: "आपकी खोज या फ़िल्टर से कोई रिकॉर्ड मेल नहीं खाता",
+  },
+  tableView: {
+    filters: {
+      all: "सभी",
+      below75: "{target}% से कम",
+      belowTarget: "लक्ष्य से कम",
+    },
+  },
+  table: {
+    targetColumn: "{target}% लक्ष्य",
+  },
+  fields: {
+    code: "कोड",
+    name: "विषय",
+    held: "कुल कक्षाएँ",
+    attended: "उपस्थित",
+    percentage: "प्रतिशत",
+  },
+  subjects: {
+    unknownFormat:
+      "सर्वर ने उपस्थिति ऐसे प्रारूप में भेजी जिसे यह ऐप नहीं पहचानता।",
+    rowError: "पंक्ति {row}: {reason}",
+    errors: {
+      notObject: "ऑब्जेक्ट नहीं है",
+      noName: "विषय का नाम या कोड नहीं है",
+      badLecture: "लेक्चर की तारीख़ या स्थिति पढ़ी नहीं जा सकी",
+      noCounts: "कक्षाओं की संख्या नहीं है",
+      noPercentage: "उपस्थिति प्रतिशत नहीं है",
+      negative: "कक्षाओं की संख्या ऋणात्मक है",
+      attendedOverHeld: "उपस्थित ({attended}) कुल कक्षाओं ({held}) से अधिक है",
+      percentageRange: "प्रतिशत {percentage} सीमा से बाहर है",
+      duplicate: 'विषय "{id}" दोहराया गया है',
+    },
+  },
+  threshold: {
+    aboveTarget: "लक्ष्य से ऊपर",
+    canSkip: "{count} छोड़ सकते हैं",
+    cantSkip: "एक भी नहीं छोड़ सकते",
+    belowTarget: "लक्ष्य से कम",
+    unreachable: "लक्ष्य तक नहीं पहुँच सकते",
+    attendNext: "अगली {count} में जाएँ",
+    explain: {
+      unknown: "आपकी उपस्थिति का हिसाब लगाने के लिए पर्याप्त डेटा नहीं है।",
+      percentageOnlySafe:
+        "केवल प्रतिशत पता है, इसलिए कितनी कक्षाएँ छोड़ सकते हैं या कितनी में जाना ज़रूरी है, यह नहीं बताया जा सकता। आप {target}% या उससे ऊपर हैं।",
+      percentageOnlyBelow:
+        "केवल प्रतिशत पता है, इसलिए कितनी कक्षाएँ छोड़ सकते हैं या कितनी में जाना ज़रूरी है, यह नहीं बताया जा सकता। आप {target}% से नीचे हैं।",
+      current:
+        "आप {total} में से {attended} कक्षाओं में उपस्थित रहे ({percent})।",
+      unreachable:
+        "{current} एक कक्षा छूट जाने के कारण अब आप {target}% तक नहीं पहुँच सकते।",
+      mustAttend: {
+        one: "{current} अगली कक्षा में जाने से आप {total} में से {attended} ({percent}) पर होंगे, यानी {target}% या उससे ऊपर।",
+        other:
+          "{current} अगली {count} कक्षाओं में जाने से आप {total} में से {attended} ({percent}) पर होंगे, यानी {target}% या उससे ऊपर।",
+      },
+      edge: "{current} अगली कक्षा छोड़ने पर आप {target}% से नीचे चले जाएँगे।",
+      canSkip: {
+        one: "{current} आप अगली कक्षा छोड़कर भी {total} में से {attended} ({percent}) पर रहेंगे, यानी {target}% या उससे ऊपर।",
+        other:
+          "{current} आप अगली {count} कक्षाएँ छोड़कर भी {total} में से {attended} ({percent}) पर रहेंगे, यानी {target}% या उससे ऊपर।",
+      },
+    },
+  },
+  diff: {
+    updated: "{name} अपडेट हुआ",
+    counts: "({held} कुल, {attended} उपस्थित)",
+    markedAbsent: "{name} में अनुपस्थित दर्ज {counts}",
+    markedPresent: "{name} में उपस्थित दर्ज {counts}",
+    updatedCounts: "{name} अपडेट हुआ {counts}",
+    added: "नया विषय: {name}",
+    removed: "विषय हटाया गया: {name}",
+    none: "पिछली बार के बाद कोई बदलाव नहीं।",
+    more: {
+      one: "…और {count} बदलाव",
+      other: "…और {count} बदलाव",
+    },
+  },
+  history: {
+    empty:
+      "पहली बार उपस्थिति सफलतापूर्वक प्राप्त होने के बाद इतिहास यहाँ दिखेगा।",
+    noData: "अभी कोई डेटा नहीं",
+    overall: "कुल मिलाकर",
+    range: {
+      one: "{since} से {count} स्नैपशॉट",
+      other: "{since} से {count} स्नैपशॉट",
+    },
+  },
+  subject: {
+    title: "विषय",
+    missing: "यह विषय आपकी नवीनतम उपस्थिति में नहीं है।",
+    missed: "छूटी",
+    attendance: "उपस्थिति",
+    lectures: "लेक्चर",
+    allDetails: "पूरा विवरण",
+  },
+  heatmap: {
+    present: "उपस्थित",
+    mixed: "मिश्रित",
+    absent: "अनुपस्थित",
+    other: "अन्य",
+    presentCount: "{count} उपस्थित",
+    absentCount: "{count} अनुपस्थित",
+    otherCount: "{count} अन्य",
+  },
+  planner: {
+    title: "क्या-अगर प्लानर",
+    empty:
+      "प्लानर को हर विषय की कुल और उपस्थित कक्षाओं की संख्या चाहिए। पहले अपनी उपस्थिति प्राप्त करें; जिन विषयों का केवल प्रतिशत है, उनकी योजना नहीं बन सकती।",
+    overallNow: "अभी कुल",
+    after: {
+      one: "{count} नियोजित कक्षा के बाद",
+      other: "{count} नियोजित कक्षाओं के बाद",
+    },
+    clear: "योजना साफ़ करें",
+    now: "अभी",
+    projected: "अनुमानित",
+    attend: "जाएँगे",
+    miss: "छोड़ेंगे",
+  },
+  forecast: {
+    title: "पूर्वानुमान",
+    noSubjects:
+      "पूर्वानुमान को हर विषय की कुल और उपस्थित कक्षाओं की संख्या चाहिए। पहले अपनी उपस्थिति प्राप्त करें।",
+    noTimetable:
+      "आपकी उपस्थिति किस ओर जा रही है, यह देखने के लिए अपनी साप्ताहिक समय-सारिणी जोड़ें।",
+    setUpTimetable: "समय-सारिणी बनाएँ",
+    editTimetable: "समय-सारिणी बदलें",
+    until: "इस तारीख़ तक पूर्वानुमान",
+    invalidDate: "आज के बाद की तारीख़ दर्ज करें, जैसे 2025-05-31।",
+    presets: {
+      twoWeeks: "2 सप्ताह में",
+      oneMonth: "1 महीने में",
+      examCutoff: "परीक्षा कटऑफ़",
+      semesterEnd: "सेमेस्टर का अंत",
+    },
+    rate: "जिन कक्षाओं में जाऊँगा",
+    notScheduled:
+      "आपकी समय-सारिणी में नहीं है, इसलिए आगे कोई कक्षा अपेक्षित नहीं है।",
+    on: "{date} को",
+    moreClasses: { one: "{count} और कक्षा", other: "{count} और कक्षाएँ" },
+    riskyTitle: "इन दिनों छुट्टी लेने पर आप {target}% से नीचे चले जाएँगे:",
+    andMore: "और {count} और",
+  },
+  timetable: {
+    title: "समय-सारिणी",
+    semester: "सेमेस्टर",
+    semesterEnds: "सेमेस्टर समाप्ति",
+    examCutoff: "परीक्षा उपस्थिति कटऑफ़",
+    invalidDate: "{label}: 2025-05-31 या 31/05/2025 जैसी तारीख़ दर्ज करें।",
+    addClass: "कक्षा जोड़ें",
+    noSubjects:
+      "पहले अपनी उपस्थिति प्राप्त करें ताकि समय-सारिणी आपके विषयों का उपयोग कर सके।",
+    day: "दिन",
+    startsAt: "शुरू होने का समय",
+    chooseSubject: "पहले एक विषय चुनें।",
+    invalidTime: "शुरू होने का समय HH:MM में दर्ज करें, जैसे 09:30।",
+    import: "कैलेंडर (.ics) फ़ाइल से आयात करें",
+    importing: "आयात हो रहा है...",
+    importFailed: "वह कैलेंडर फ़ाइल पढ़ी नहीं जा सकी।",
+    noEvents: "उस फ़ाइल में समय वाला कोई इवेंट नहीं मिला।",
+    imported: {
+      one: "{count} साप्ताहिक कक्षा आयात हुई।",
+      other: "{count} साप्ताहिक कक्षाएँ आयात हुईं।",
+    },
+    unmatched:
+      "किसी विषय से मेल नहीं खाए, अगर ये कक्षाएँ हैं तो इन्हें ख़ुद जोड़ें: {titles}",
+    weekly: "साप्ताहिक समय-सारिणी",
+    empty: "अभी कोई कक्षा नहीं जोड़ी गई।",
+    removeSlot: "{day} को {time} बजे की {name} हटाएँ",
+    clear: "समय-सारिणी साफ़ करें",
+    clearPrompt: "समय-सारिणी से सभी कक्षाएँ हटाएँ?",
+    clearConfirm: "साफ़ करें",
+  },
+  export: {
+    button: "निर्यात",
+    menuTitle: "साझा करें / निर्यात",
+    shareAll: "सभी विषय साझा करें।",
+    shareShown: {
+      one: "अभी दिख रहा {count} विषय साझा करें।",
+      other: "अभी दिख रहे {count} विषय साझा करें।",
+    },
+    csv: "CSV",
+    pdf: "PDF रिपोर्ट",
+    failed: "उपस्थिति निर्यात नहीं हो सकी।",
+    unavailable: "इस डिवाइस पर साझा करना उपलब्ध नहीं है।",
+    csvDialog: "उपस्थिति साझा करें (CSV)",
+    pdfDialog: "उपस्थिति रिपोर्ट साझा करें (PDF)",
+  },
+  report: {
+    title: "उपस्थिति रिपोर्ट",
+    studentId: "छात्र ID",
+    fetched: "उपस्थिति प्राप्त हुई",
+    generated: "रिपोर्ट बनी",
+    target: "आवश्यक उपस्थिति",
+    unknown: "अज्ञात",
+    empty: "मौजूदा खोज या फ़िल्टर से कोई विषय मेल नहीं खाता।",
+  },
+  notifications: {
+    lowTitleOne: "{name} में कम उपस्थिति",
+    lowTitleMany: "{count} विषयों में कम उपस्थिति",
+    lowBody: "{name} {percent} पर है ({threshold}% से कम)",
+    absenceTitle: {
+      one: "नई अनुपस्थिति दर्ज हुई",
+      other: "{count} नई अनुपस्थितियाँ दर्ज हुईं",
+    },
+  },
+  settings: {
+    title: "सेटिंग्स",
+    accounts: "खाते",
+    logOutOf: "{systemId} से लॉग आउट करें",
+    appearance: "रूप-रंग",
+    themes: { system: "सिस्टम", light: "लाइट", dark: "डार्क" },
+    language: "भाषा",
+    attendance: "उपस्थिति",
+    requiredAttendance: "आवश्यक उपस्थिति",
+    redBelow: "लाल, इससे नीचे",
+    greenFrom: "हरा, इससे ऊपर",
+  },
+  notificationSettings: {
+    title: "सूचनाएँ",
+    backgroundRefresh: "बैकग्राउंड रिफ़्रेश",
+    backgroundRefreshHint: "ऐप बंद होने पर भी समय-समय पर उपस्थिति जाँचें",
+    lowAttendance: "कम उपस्थिति की सूचना",
+    lowAttendanceHint: "जब कोई विषय इससे नीचे जाए तो सूचित करें",
+    newAbsence: "नई अनुपस्थिति की सूचना",
+    newAbsenceHint: "नई अनुपस्थिति दर्ज होने पर सूचित करें",
+    quietHours: "शांत समय",
+    quietHoursHint: "इस अवधि के ख़त्म होने तक सूचनाएँ रोकें",
+    from: "शुरू",
+    to: "समाप्त",
+    permissionDenied:
+      "इस ऐप के लिए सूचनाएँ अनुमत नहीं हैं, इसलिए बैकग्राउंड रिफ़्रेश बंद रहेगा। सिस्टम सेटिंग्स में इन्हें अनुमति दें।",
+  },
+  demo: {
+    title: "डेवलपर विकल्प",
+    enable: "डेमो मोड",
+    enableHint:
+      "लॉग इन, रजिस्ट्रेशन और उपस्थिति के अनुरोधों का जवाब सर्वर की जगह ऐप में मौजूद डेटा से दें।",
+    account:
+      "{systemId} और पासवर्ड {password} से लॉग इन करें, या कोई दूसरी आईडी रजिस्टर करें।",
+    scenario: "स्थिति",
+    badge: "डेमो डेटा · {scenario}",
+    scenarios: {
+      typical: {
+        title: "सामान्य सेमेस्टर",
+        description: "सात विषय, जिनमें से कुछ लक्ष्य से नीचे हैं।",
+      },
+      empty: {
+        title: "कोई रिकॉर्ड नहीं",
+        description: "सर्वर पर अभी कोई उपस्थिति नहीं है।",
+      },
+      large: {
+        title: "बड़ा डेटा",
+        description: "लंबे लेक्चर इतिहास वाले दर्जनों विषय।",
+      },
+      expiredSession: {
+        title: "सत्र समाप्त",
+        description:
+          "लॉग इन हो जाता है, फिर सर्वर सत्र को अस्वीकार कर देता है।",
+      },
+      serverError: {
+        title: "सर्वर त्रुटियाँ",
+        description:
+          "उपस्थिति के अनुरोध सर्वर त्रुटि के साथ विफल होते रहते हैं।",
+      },
+    },
+  },
+};
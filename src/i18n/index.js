@@ -0,0 +1,112 @@
+import { getLocales } from "expo-localization";
+import en from "./en";
+import hi from "./hi";
+
+// Message catalogs and locale-aware formatting. The current language lives
+// here rather than in React state so that libraries, feedback messages and
+// the background task can translate too; components re-render through
+// useI18n().
+//
+// Messages are looked up by dotted key ("login.title") with {name}
+// placeholders. A message given as { one, other } is picked by `count`.
+
+const CATALOGS = { en, hi };
+
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "hi", label: "हिन्दी" },
+];
+
+// Intl locale used for numbers and dates in each language
+const LOCALE_TAGS = { en: "en-IN", hi: "hi-IN" };
+
+export const isSupportedLanguage = (code) =>
+  Object.prototype.hasOwnProperty.call(CATALOGS, code);
+
+// The device language when it has a catalog, English otherwise
+export const deviceLanguage = () => {
+  try {
+    const code = getLocales()[0]?.languageCode;
+    return isSupportedLanguage(code) ? code : "en";
+  } catch (err) {
+    return "en";
+  }
+};
+
+let language = deviceLanguage();
+const listeners = new Set();
+
+export const getLanguage = () => language;
+
+export const setLanguage = (next) => {
+  if (!isSupportedLanguage(next) || next === language) return;
+  language = next;
+  listeners.forEach((listener) => listener(language));
+};
+
+export const subscribeLanguage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const localeTag = () => LOCALE_TAGS[language];
+
+// CLDR cardinal plural categories. English has "one" only for exactly 1;
+// Hindi also uses it for 0 and fractions below 1.
+const PLURAL_RULES = {
+  en: (count) => (count === 1 ? "one" : "other"),
+  hi: (count) => (count >= 0 && count <= 1 ? "one" : "other"),
+};
+
+const lookup = (catalog, key) =>
+  key
+    .split(".")
+    .reduce(
+      (node, part) => (node && typeof node === "object" ? node[part] : null),
+      catalog
+    );
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null
+      ? match
+      : String(params[name])
+  );
+
+// Falls back to English, then to the key itself, for missing messages
+export const t = (key, params = {}) => {
+  let message = lookup(CATALOGS[language], key) ?? lookup(en, key);
+  if (message && typeof message === "object" && "other" in message) {
+    const category =
+      typeof params.count === "number"
+        ? PLURAL_RULES[language](Math.abs(params.count))
+        : "other";
+    message = message[category] ?? message.other;
+  }
+  if (typeof message !== "string") return key;
+  return interpolate(message, {
+    ...params,
+    ...(typeof params.count === "number" && {
+      count: formatNumber(params.count),
+    }),
+  });
+};
+
+export const formatNumber = (value, options) =>
+  new Intl.NumberFormat(localeTag(), options).format(value);
+
+// 82.456 -> "82.5%"
+export const formatPercent = (value, digits = 1) =>
+  `${formatNumber(value, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  })}%`;
+
+export const formatDate = (date, options) =>
+  new Date(date).toLocaleDateString(localeTag(), options);
+
+export const formatDateTime = (date, options) =>
+  new Date(date).toLocaleString(localeTag(), options);
+
+// Items joined with the language's separator
+export const formatList = (items) => items.join(t("common.listSeparator"));
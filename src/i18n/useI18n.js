@@ -0,0 +1,24 @@
+import { useSyncExternalStore } from "react";
+import {
+  getLanguage,
+  subscribeLanguage,
+  t,
+  formatNumber,
+  formatPercent,
+  formatDate,
+  formatDateTime,
+} from "./index";
+
+// Re-renders the component when the language changes. `t` and the
+// formatters are the module functions, returned here for convenience.
+export const useI18n = () => {
+  const language = useSyncExternalStore(subscribeLanguage, getLanguage);
+  return {
+    language,
+    t,
+    formatNumber,
+    formatPercent,
+    formatDate,
+    formatDateTime,
+  };
+};
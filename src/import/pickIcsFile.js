@@ -0,0 +1,20 @@
+import * as DocumentPicker from "expo-document-picker";
+import * as FileSystem from "expo-file-system";
+
+// Lets the user pick a calendar export and returns its text, or null when
+// the picker is cancelled. Android often reports .ics files with a generic
+// type, so any file can be picked and the parser decides.
+export const pickIcsFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ["text/calendar", "text/plain", "application/octet-stream", "*/*"],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets?.length) return null;
+
+  const { uri } = result.assets[0];
+  try {
+    return await FileSystem.readAsStringAsync(uri);
+  } finally {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+  }
+};
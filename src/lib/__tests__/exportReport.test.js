@@ -0,0 +1,38 @@
+import { csvField, buildCsv } from "../exportReport";
+
+describe("csvField", () => {
+  it("quotes separators, quotes and line breaks", () => {
+    expect(csvField("Maths, Applied")).toBe('"Maths, Applied"');
+    expect(csvField('The "lab"')).toBe('"The ""lab"""');
+    expect(csvField(null)).toBe("");
+  });
+
+  it("turns formulas from the backend into plain text", () => {
+    expect(csvField('=HYPERLINK("http://x")')).toBe(
+      `"'=HYPERLINK(""http://x"")"`
+    );
+    expect(csvField("+1+1")).toBe("'+1+1");
+    expect(csvField("-2+3")).toBe("'-2+3");
+    expect(csvField("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(csvField("\t=1")).toBe("'\t=1");
+    expect(csvField("\r=1")).toBe(`"'\r=1"`);
+  });
+
+  it("keeps signed numbers as numbers", () => {
+    expect(csvField(-4)).toBe("-4");
+    expect(csvField("+2.5%")).toBe("+2.5%");
+  });
+});
+
+describe("buildCsv", () => {
+  it("writes a header line and one line per row", () => {
+    const csv = buildCsv({
+      columns: [
+        { key: "name", label: "Subject" },
+        { key: "percentage", label: "%" },
+      ],
+      rows: [{ name: "=cmd", percentage: 82.5 }],
+    });
+    expect(csv).toBe("Subject,%\r\n'=cmd,82.5\r\n");
+  });
+});
@@ -0,0 +1,37 @@
+import { buildTrends } from "../trends";
+
+describe("buildTrends", () => {
+  it("takes the overall value from the class counts", () => {
+    const { overall } = buildTrends([
+      {
+        fetchedAt: 1,
+        attendance: [
+          { subjectName: "Maths", attended: 8, totalClasses: 10 },
+          { subjectName: "Physics", attended: 2, totalClasses: 10 },
+        ],
+      },
+    ]);
+    expect(overall).toEqual([{ fetchedAt: 1, value: 50 }]);
+  });
+
+  it("averages the percentages when rows have no attended count", () => {
+    const { overall, subjects } = buildTrends([
+      {
+        fetchedAt: 1,
+        attendance: [
+          { subjectName: "Maths", totalClasses: 20, attendancePercentage: 85 },
+          {
+            subjectName: "Physics",
+            totalClasses: 18,
+            attendancePercentage: 72.2,
+          },
+        ],
+      },
+    ]);
+    expect(overall).toHaveLength(1);
+    expect(overall[0].value).toBeCloseTo(78.6);
+    expect(subjects.map((subject) => subject.points[0].value)).toEqual([
+      85, 72.2,
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+import { normalizeAttendance, subjectToRow } from "./subjects";
+import { t } from "../i18n";
+
+const MAX_SUMMARY_LINES = 3;
+
+const indexSubjects = (rows) =>
+  new Map(
+    normalizeAttendance(rows).subjects.map((subject) => [subject.id, subject])
+  );
+
+const displayName = (subject) => subject.name || subject.id;
+
+// Compares two raw attendance results subject by subject. Returns
+// added/removed subject names, per-subject changes with held/attended
+// deltas, and the changed table fields for each subject id.
+export const diffAttendance = (previousRows, nextRows) => {
+  const previous = indexSubjects(previousRows || []);
+  const next = indexSubjects(nextRows || []);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const changedCells = {};
+
+  next.forEach((subject, id) => {
+    const row = subjectToRow(subject);
+    const before = previous.get(id);
+    if (!before) {
+      added.push(displayName(subject));
+      changedCells[id] = Object.keys(row);
+      return;
+    }
+
+    const beforeRow = subjectToRow(before);
+    const cells = Object.keys(row).filter(
+      (field) => String(row[field]) !== String(beforeRow[field])
+    );
+    if (cells.length === 0) return;
+
+    const hasCounts = before.held !== null && subject.held !== null;
+    changed.push({
+      id,
+      name: displayName(subject),
+      cells,
+      heldDelta: hasCounts ? subject.held - before.held : null,
+      attendedDelta: hasCounts ? subject.attended - before.attended : null,
+    });
+    changedCells[id] = cells;
+  });
+
+  previous.forEach((subject, id) => {
+    if (!next.has(id)) removed.push(displayName(subject));
+  });
+
+  return { added, removed, changed, changedCells };
+};
+
+export const hasChanges = (diff) =>
+  diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+
+const signed = (value) => (value >= 0 ? `+${value}` : `${value}`);
+
+export const describeChange = ({ name, heldDelta, attendedDelta }) => {
+  if (heldDelta === null) return t("diff.updated", { name });
+
+  const counts = t("diff.counts", {
+    held: signed(heldDelta),
+    attended: signed(attendedDelta),
+  });
+  if (heldDelta > 0 && attendedDelta === 0) {
+    return t("diff.markedAbsent", { name, counts });
+  }
+  if (heldDelta > 0 && attendedDelta === heldDelta) {
+    return t("diff.markedPresent", { name, counts });
+  }
+  return t("diff.updatedCounts", { name, counts });
+};
+
+// Short human-readable summary of a diff, one change per line
+export const summarizeDiff = (diff) => {
+  const lines = [
+    ...diff.changed.map(describeChange),
+    ...diff.added.map((name) => t("diff.added", { name })),
+    ...diff.removed.map((name) => t("diff.removed", { name })),
+  ];
+
+  if (lines.length === 0) return t("diff.none");
+  if (lines.length <= MAX_SUMMARY_LINES) return lines.join("\n");
+
+  return [
+    ...lines.slice(0, MAX_SUMMARY_LINES),
+    t("diff.more", { count: lines.length - MAX_SUMMARY_LINES }),
+  ].join("\n");
+};
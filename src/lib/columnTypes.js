@@ -0,0 +1,129 @@
+import { parseNumber } from "./threshold";
+import { formatNumber, formatDate } from "../i18n";
+
+// Column types: "percentage", "count", "date" or "text"
+
+const PERCENT_HEADER_PATTERN = /percent|perc|%/i;
+const DATE_HEADER_PATTERN = /date|day|time|updated/i;
+const PERCENT_VALUE_PATTERN = /^\s*-?\d+(\.\d+)?\s*%\s*$/;
+const NUMBER_VALUE_PATTERN = /^\s*-?\d+(\.\d+)?\s*$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+// Day first, as the university portal writes dates (e.g. 14/03/2025)
+const DMY_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+
+export const DEFAULT_COLOR_THRESHOLDS = { danger: 65, safe: 75 };
+
+// Null, undefined or only whitespace
+export const isBlank = (value) =>
+  value === null || value === undefined || String(value).trim() === "";
+
+// Returns a Date for ISO or day-first dates, otherwise null
+export const parseDate = (value) => {
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+
+  if (ISO_DATE_PATTERN.test(text)) {
+    // Date-only ISO strings would otherwise be read as UTC midnight
+    const date =
+      text.length === 10
+        ? new Date(
+            ...text.split("-").map((part, i) => Number(part) - (i === 1))
+          )
+        : new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  const match = text.match(DMY_DATE_PATTERN);
+  if (match) {
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+  }
+  return null;
+};
+
+export const detectColumnType = (header, values) => {
+  const present = values.filter((value) => !isBlank(value));
+  if (present.length === 0) return "text";
+
+  const all = (test) => present.every(test);
+  const isNumber = (value) =>
+    typeof value === "number" || NUMBER_VALUE_PATTERN.test(value);
+
+  if (all((value) => PERCENT_VALUE_PATTERN.test(value))) return "percentage";
+  if (all(isNumber)) {
+    return PERCENT_HEADER_PATTERN.test(header) ? "percentage" : "count";
+  }
+  if (all((value) => parseDate(value) !== null)) return "date";
+  if (DATE_HEADER_PATTERN.test(header) && all((v) => !isNaN(Date.parse(v)))) {
+    return "date";
+  }
+  return "text";
+};
+
+// { [header]: type } for a dataset
+export const detectColumnTypes = (headers, rows) => {
+  const types = {};
+  headers.forEach((header) => {
+    types[header] = detectColumnType(
+      header,
+      rows.map((row) => row[header])
+    );
+  });
+  return types;
+};
+
+export const isNumericType = (type) =>
+  type === "percentage" || type === "count";
+
+export const formatValue = (value, type) => {
+  if (isBlank(value)) return "";
+
+  switch (type) {
+    case "percentage": {
+      const number = parseNumber(value);
+      return number === null
+        ? String(value)
+        : `${formatNumber(number, { maximumFractionDigits: 1 })}%`;
+    }
+    case "count": {
+      const number = parseNumber(value);
+      return number === null ? String(value) : formatNumber(number);
+    }
+    case "date": {
+      const date = parseDate(value) || new Date(value);
+      return isNaN(date)
+        ? String(value)
+        : formatDate(date, {
+            day: "numeric",
+            month: "short",
+            year: "numeric",
+          });
+    }
+    default:
+      return String(value);
+  }
+};
+
+// "attendancePercentage", "total_classes" and "subject-code" become
+// "Attendance Percentage", "Total Classes" and "Subject Code"; acronyms
+// such as "LTP" are left alone
+export const formatHeaderLabel = (header) =>
+  String(header)
+    .replace(/[_-]+/g, " ")
+    .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .trim()
+    .split(/\s+/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+// "danger" below thresholds.danger, "warning" below thresholds.safe,
+// otherwise "safe"; null when the value is not a number
+export const percentageLevel = (value, thresholds) => {
+  const number = parseNumber(value);
+  if (number === null) return null;
+  if (number < thresholds.danger) return "danger";
+  if (number < thresholds.safe) return "warning";
+  return "safe";
+};
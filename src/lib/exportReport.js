@@ -0,0 +1,146 @@
+import { isBlank } from "./columnTypes";
+import { t, getLanguage, formatDateTime } from "../i18n";
+
+// Builds the CSV and PDF (HTML) versions of the attendance table.
+// `columns` is [{ key, label }] in display order and `rows` are the rows
+// exactly as shown, so sorting and filtering carry over to the export.
+
+const LEVEL_COLORS = {
+  danger: "#b91c1c",
+  warning: "#b45309",
+  safe: "#15803d",
+};
+
+// Text a spreadsheet would run as a formula (CSV injection). Plain numbers
+// such as "-4" or "+2.5%" are left alone so they stay numbers.
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER_PATTERN = /^[+-]?\d+(\.\d+)?%?$/;
+
+// Quotes a CSV field when it contains a separator, quote or line break, and
+// turns anything that looks like a formula into text with a leading "'"
+export const csvField = (value) => {
+  if (isBlank(value)) return "";
+  let text = String(value);
+  if (FORMULA_PATTERN.test(text) && !PLAIN_NUMBER_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV keeps raw values so spreadsheets can still do arithmetic on them
+export const buildCsv = ({ columns, rows }) =>
+  [
+    columns.map((column) => csvField(column.label)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvField(row[column.key])).join(",")
+    ),
+  ].join("\r\n") + "\r\n";
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatReportTime = (timestamp) =>
+  formatDateTime(timestamp, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// `formatCell(key, value)` gives the display text and `cellLevel(key, value)`
+// an optional danger/warning/safe colour, the same as the on-screen table
+export const buildReportHtml = ({
+  systemId,
+  fetchedAt,
+  generatedAt = Date.now(),
+  target,
+  columns,
+  rows,
+  formatCell = (key, value) => (isBlank(value) ? "" : String(value)),
+  cellLevel = () => null,
+}) => {
+  const details = [
+    [t("report.studentId"), systemId],
+    [
+      t("report.fetched"),
+      fetchedAt ? formatReportTime(fetchedAt) : t("report.unknown"),
+    ],
+    [t("report.generated"), formatReportTime(generatedAt)],
+    target !== undefined && [t("report.target"), `${target}%`],
+  ].filter(Boolean);
+
+  const headerCells = columns
+    .map((column) => `<th>${escapeHtml(column.label)}</th>`)
+    .join("");
+  const bodyRows = rows
+    .map((row) => {
+      const cells = columns
+        .map((column) => {
+          const value = row[column.key];
+          const level = cellLevel(column.key, value);
+          const style = level
+            ? ` style="color:${LEVEL_COLORS[level]};font-weight:600"`
+            : "";
+          return `<td${style}>${escapeHtml(
+            formatCell(column.key, value)
+          )}</td>`;
+        })
+        .join("");
+      return `<tr>${cells}</tr>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<style>
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #1e293b; margin: 24px; }
+  h1 { color: #1e40af; font-size: 22px; margin: 0 0 12px; }
+  .details { margin-bottom: 16px; font-size: 13px; }
+  .details td { padding: 2px 12px 2px 0; }
+  .details td:first-child { color: #64748b; }
+  table.attendance { border-collapse: collapse; width: 100%; font-size: 12px; }
+  table.attendance th { background: #1e40af; color: #ffffff; text-align: left; padding: 8px; }
+  table.attendance td { border-bottom: 1px solid #e2e8f0; padding: 8px; }
+  table.attendance tr:nth-child(even) td { background: #f8fafc; }
+  .empty { color: #64748b; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t("report.title"))}</h1>
+<table class="details">
+${details
+  .map(
+    ([label, value]) =>
+      `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+  )
+  .join("\n")}
+</table>
+${
+  rows.length > 0
+    ? `<table class="attendance"><thead><tr>${headerCells}</tr></thead><tbody>${bodyRows}</tbody></table>`
+    : `<p class="empty">${escapeHtml(t("report.empty"))}</p>`
+}
+</body>
+</html>`;
+};
+
+// attendance-2021001234-2024-03-05.csv
+export const exportFileName = (systemId, fetchedAt, extension) => {
+  const date = new Date(fetchedAt || Date.now());
+  const day = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+  const id = String(systemId || "student").replace(/[^A-Za-z0-9_-]/g, "_");
+  return `attendance-${id}-${day}.${extension}`;
+};
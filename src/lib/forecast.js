@@ -0,0 +1,66 @@
+import { toDateKey } from "./lectures";
+import { weekdayOf } from "./ics";
+import { isPlannable } from "./planner";
+
+// Percentage forecasts from the weekly timetable. Dates are local
+// "YYYY-MM-DD" keys; `from` is today and is not itself counted, since
+// today's classes may already be in the fetched totals.
+
+// Forecasts never look further ahead than this
+const MAX_DAYS = 366;
+
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Day keys of the subject's classes after `from` up to and including
+// `until`, oldest first; a day with two classes appears twice
+export const upcomingClasses = (slots, subjectId, from, until) => {
+  const perWeekday = Array(7).fill(0);
+  slots.forEach((slot) => {
+    if (slot.subjectId === subjectId) perWeekday[slot.weekday] += 1;
+  });
+
+  const dates = [];
+  const day = startOfDay(from);
+  const end = startOfDay(until);
+  for (let i = 0; i < MAX_DAYS; i += 1) {
+    day.setDate(day.getDate() + 1);
+    if (day > end) break;
+    const count = perWeekday[weekdayOf(day)];
+    for (let n = 0; n < count; n += 1) dates.push(toDateKey(day));
+  }
+  return dates;
+};
+
+// { classes, held, attended, percentage } at `until` if the student
+// attends `rate` (0-1) of the remaining classes; null without counts
+export const forecastSubject = (subject, slots, { from, until, rate = 1 }) => {
+  if (!isPlannable(subject)) return null;
+
+  const classes = upcomingClasses(slots, subject.id, from, until).length;
+  const held = subject.held + classes;
+  const attended = subject.attended + classes * rate;
+  return {
+    classes,
+    held,
+    attended,
+    percentage: held > 0 ? (attended / held) * 100 : null,
+  };
+};
+
+// Upcoming class days on which skipping (while attending every other
+// class) would put the subject below the target
+export const riskySkipDates = (subject, slots, { from, until, target }) => {
+  if (!isPlannable(subject)) return [];
+
+  let { held, attended } = subject;
+  const risky = [];
+  upcomingClasses(slots, subject.id, from, until).forEach((date) => {
+    if ((attended / (held + 1)) * 100 < target && !risky.includes(date)) {
+      risky.push(date);
+    }
+    held += 1;
+    attended += 1;
+  });
+  return risky;
+};
@@ -0,0 +1,104 @@
+// Minimal iCalendar (.ics) reader for timetables. Only what a weekly class
+// schedule needs is read: each VEVENT's SUMMARY, the weekday(s) it repeats
+// on and its start time.
+
+const ICS_WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+// Lines starting with a space or tab continue the previous line
+const unfoldLines = (text) =>
+  String(text)
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+
+// "DTSTART;TZID=Asia/Kolkata:20240108T090000" ->
+// { name: "DTSTART", params: { TZID: "Asia/Kolkata" }, value: "20240108T090000" }
+const parseLine = (line) => {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(";");
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(
+      params.map((param) => {
+        const [key, value = ""] = param.split("=");
+        return [key.toUpperCase(), value];
+      })
+    ),
+    value: line.slice(colon + 1),
+  };
+};
+
+const unescapeText = (value) =>
+  value
+    .replace(/\\n/gi, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+
+// Local Date for a DATE-TIME value. UTC values ("...Z") are converted to
+// the device's zone; TZID and floating times are taken as local time.
+export const parseIcsDateTime = (value) => {
+  const match = String(value).match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/
+  );
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = "0", utc] = match;
+  if (hour === undefined) return null;
+  const parts = [year, month - 1, day, hour, minute, second].map(Number);
+  return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+};
+
+const parseRule = (value) =>
+  Object.fromEntries(
+    value.split(";").map((part) => {
+      const [key, rule = ""] = part.split("=");
+      return [key.toUpperCase(), rule.toUpperCase()];
+    })
+  );
+
+// Monday-based weekday (0-6) of a Date
+export const weekdayOf = (date) => (date.getDay() + 6) % 7;
+
+// [{ summary, weekdays: [0-6], start: "HH:MM" }] for every timed event.
+// All-day events are skipped. Weekly rules use their BYDAY list, daily
+// rules every day, anything else the weekday of DTSTART.
+export const parseIcsEvents = (text) => {
+  const events = [];
+  let current = null;
+
+  unfoldLines(text).forEach((raw) => {
+    const line = parseLine(raw.trim());
+    if (!line) return;
+
+    if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+      current = {};
+    } else if (line.name === "END" && line.value.toUpperCase() === "VEVENT") {
+      if (current?.summary && current.start) {
+        const rule = current.rule || {};
+        let weekdays = [weekdayOf(current.start)];
+        if (rule.FREQ === "DAILY") weekdays = [0, 1, 2, 3, 4, 5, 6];
+        if (rule.BYDAY && (rule.FREQ === "WEEKLY" || rule.FREQ === "DAILY")) {
+          weekdays = rule.BYDAY.split(",")
+            .map((day) => ICS_WEEKDAYS.indexOf(day.slice(-2)))
+            .filter((day) => day !== -1);
+        }
+        events.push({
+          summary: current.summary,
+          weekdays,
+          start: [current.start.getHours(), current.start.getMinutes()]
+            .map((part) => String(part).padStart(2, "0"))
+            .join(":"),
+        });
+      }
+      current = null;
+    } else if (current) {
+      if (line.name === "SUMMARY") current.summary = unescapeText(line.value);
+      if (line.name === "DTSTART" && line.params.VALUE !== "DATE") {
+        current.start = parseIcsDateTime(line.value);
+      }
+      if (line.name === "RRULE") current.rule = parseRule(line.value);
+    }
+  });
+
+  return events;
+};
@@ -0,0 +1,114 @@
+import { parseDate } from "./columnTypes";
+
+// Date-wise lecture records. Each lecture is { date: "YYYY-MM-DD", status }
+// where status is "present", "absent" or "other" (leave, cancelled, ...).
+// Only present and absent lectures count towards held classes.
+
+const PRESENT_VALUES = ["p", "present", "attended", "yes", "y", "1", "true"];
+const ABSENT_VALUES = ["a", "ab", "absent", "missed", "no", "n", "0", "false"];
+
+const DATE_KEY_PATTERN = /date|day/i;
+const STATUS_KEY_PATTERN = /status|attend|present|mark/i;
+
+export const parseLectureStatus = (value) => {
+  if (value === true) return "present";
+  if (value === false) return "absent";
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (!text) return null;
+  if (PRESENT_VALUES.includes(text)) return "present";
+  if (ABSENT_VALUES.includes(text)) return "absent";
+  return "other";
+};
+
+export const toDateKey = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+// Reads one lecture from its date and status values, or returns null
+export const readLecture = (dateValue, statusValue) => {
+  const date = parseDate(String(dateValue ?? ""));
+  const status = parseLectureStatus(statusValue);
+  return date && status ? { date: toDateKey(date), status } : null;
+};
+
+// Reads a lecture object such as { date: "2024-03-01", status: "P" }
+export const parseLecture = (entry) => {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return null;
+  const keys = Object.keys(entry);
+  const dateKey =
+    keys.find(
+      (key) => DATE_KEY_PATTERN.test(key) && parseDate(String(entry[key]))
+    ) || keys.find((key) => parseDate(String(entry[key])));
+  const statusKey = keys.find(
+    (key) => key !== dateKey && STATUS_KEY_PATTERN.test(key)
+  );
+  return dateKey && statusKey
+    ? readLecture(entry[dateKey], entry[statusKey])
+    : null;
+};
+
+// True for a non-empty array with at least one readable lecture
+export const isLectureList = (value) =>
+  Array.isArray(value) && value.some((entry) => parseLecture(entry));
+
+// Readable lectures, oldest first
+export const parseLectures = (entries) =>
+  Array.isArray(entries)
+    ? entries
+        .map(parseLecture)
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date))
+    : [];
+
+export const countLectures = (lectures) => {
+  const attended = lectures.filter((l) => l.status === "present").length;
+  const absent = lectures.filter((l) => l.status === "absent").length;
+  return { held: attended + absent, attended };
+};
+
+// Month grids for a calendar heatmap, newest month first:
+//   [{ key: "2024-03", year, month, weeks }]
+// Weeks start on Monday; each is seven slots of null (outside the month)
+// or { date, day, present, absent, other } lecture counts.
+export const buildLectureCalendar = (lectures) => {
+  const byDate = new Map();
+  lectures.forEach(({ date, status }) => {
+    if (!byDate.has(date)) {
+      byDate.set(date, { present: 0, absent: 0, other: 0 });
+    }
+    byDate.get(date)[status] += 1;
+  });
+
+  const monthKeys = [
+    ...new Set(lectures.map((lecture) => lecture.date.slice(0, 7))),
+  ].sort((a, b) => b.localeCompare(a));
+
+  return monthKeys.map((key) => {
+    const [year, month] = key.split("-").map(Number);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    // getDay() is 0 for Sunday; shift so Monday is the first column
+    const offset = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+
+    const slots = Array(offset).fill(null);
+    for (let day = 1; day <= daysInMonth; day += 1) {
+      const date = `${key}-${String(day).padStart(2, "0")}`;
+      slots.push({
+        date,
+        day,
+        ...(byDate.get(date) || { present: 0, absent: 0, other: 0 }),
+      });
+    }
+    while (slots.length % 7 !== 0) slots.push(null);
+
+    const weeks = [];
+    for (let i = 0; i < slots.length; i += 7) {
+      weeks.push(slots.slice(i, i + 7));
+    }
+    return { key, year, month, weeks };
+  });
+};
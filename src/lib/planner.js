@@ -0,0 +1,56 @@
+import { calculateThreshold } from "./threshold";
+
+// What-if projections. A plan is { attend, miss }: classes the student
+// expects to attend and to miss on top of the current counts. Subjects
+// without class counts cannot be projected.
+
+export const EMPTY_PLAN = { attend: 0, miss: 0 };
+
+export const isPlannable = (subject) =>
+  subject.held !== null && subject.attended !== null;
+
+export const isEmptyPlan = (plan) => !plan || (!plan.attend && !plan.miss);
+
+// { held, attended, percentage, delta, threshold } after the plan, or
+// null when the subject has no counts
+export const projectSubject = (subject, plan = EMPTY_PLAN, target) => {
+  if (!isPlannable(subject)) return null;
+
+  const held = subject.held + plan.attend + plan.miss;
+  const attended = subject.attended + plan.attend;
+  const percentage = held > 0 ? (attended / held) * 100 : null;
+  const delta =
+    percentage !== null && subject.percentage !== null
+      ? percentage - subject.percentage
+      : null;
+
+  return {
+    held,
+    attended,
+    percentage,
+    delta,
+    threshold: calculateThreshold({ held, attended, percentage }, target),
+  };
+};
+
+// Totals over every plannable subject, before and after the plans
+// (keyed by subject id)
+export const projectOverall = (subjects, plans) => {
+  const totals = { held: 0, attended: 0, plannedHeld: 0, plannedAttended: 0 };
+
+  subjects.filter(isPlannable).forEach((subject) => {
+    const plan = plans[subject.id] || EMPTY_PLAN;
+    totals.held += subject.held;
+    totals.attended += subject.attended;
+    totals.plannedHeld += subject.held + plan.attend + plan.miss;
+    totals.plannedAttended += subject.attended + plan.attend;
+  });
+
+  const percent = (attended, held) =>
+    held > 0 ? (attended / held) * 100 : null;
+  return {
+    current: percent(totals.attended, totals.held),
+    projected: percent(totals.plannedAttended, totals.plannedHeld),
+    plannedClasses: totals.plannedHeld - totals.held,
+  };
+};
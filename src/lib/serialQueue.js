@@ -0,0 +1,10 @@
+// Runs async tasks one at a time in the order they were queued. A task
+// that fails rejects its own promise but does not stop the ones after it.
+export const createSerialQueue = () => {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+};
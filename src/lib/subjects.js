@@ -0,0 +1,369 @@
+import { parseNumber } from "./threshold";
+import { formatHeaderLabel, parseDate, isBlank } from "./columnTypes";
+import { t } from "../i18n";
+import {
+  parseLectureStatus,
+  readLecture,
+  isLectureList,
+  parseLectures,
+  countLectures,
+} from "./lectures";
+
+// Normalized attendance model. Backend rows of any known shape are mapped
+// to subjects:
+//   { id, code, name, held, attended, percentage, lectures, extra }
+// where held/attended/percentage are numbers or null, `lectures` are the
+// date-wise records (see ./lectures, empty when the backend sends none),
+// `extra` holds the fields no adapter consumed, and `id` identifies the
+// subject across fetches. Raw rows are what gets cached, so this runs on
+// every read.
+
+export class AttendanceFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AttendanceFormatError";
+  }
+}
+
+export const MODEL_FIELDS = [
+  "id",
+  "code",
+  "name",
+  "held",
+  "attended",
+  "percentage",
+  "lectures",
+];
+
+// Message keys of the model fields' column labels
+export const FIELD_LABELS = {
+  code: "fields.code",
+  name: "fields.name",
+  held: "fields.held",
+  attended: "fields.attended",
+  percentage: "fields.percentage",
+};
+
+// Display label for a table column: model fields get their translated
+// label, backend extras are tidied up
+export const fieldLabel = (key) =>
+  FIELD_LABELS[key] ? t(FIELD_LABELS[key]) : formatHeaderLabel(key);
+
+// Checked in this order; a header is claimed by the first field it matches
+const FIELD_PATTERNS = [
+  ["percentage", /percent|perc|%|ratio/i],
+  ["absent", /absent|missed/i],
+  ["attended", /attend|present/i],
+  ["held", /total|held|delivered|conducted|lectures|classes/i],
+  ["code", /code/i],
+  ["name", /subject|course|paper|name|title/i],
+];
+
+// Only looked for when the rows carry no counts, i.e. one row per lecture
+const LECTURE_DATE_PATTERN = /date|day/i;
+const LECTURE_STATUS_PATTERN = /status|attend|present|mark/i;
+const LECTURES_KEY = "lectures";
+
+const FRACTION_PATTERN = /^\s*(\d+)\s*\/\s*(\d+)\s*$/;
+
+const parseFraction = (value) => {
+  const match = typeof value === "string" && value.match(FRACTION_PATTERN);
+  return match
+    ? { attended: parseInt(match[1], 10), held: parseInt(match[2], 10) }
+    : null;
+};
+
+// Finds the attendance rows in a response body. Known shapes are
+// { attendance: [...] }, { data: { attendance: [...] } }, { subjects: [...] }
+// and a bare array; anything else is a format error.
+export const extractAttendanceRows = (data) => {
+  const candidates = [
+    data?.attendance,
+    data?.data?.attendance,
+    data?.subjects,
+    data,
+  ];
+  const rows = candidates.find(Array.isArray);
+  if (rows) return rows;
+  if (data?.attendance === undefined && data?.message) return [];
+
+  throw new AttendanceFormatError(t("subjects.unknownFormat"));
+};
+
+// Maps each header to the model field it feeds: { [field]: header }
+export const detectFields = (headers, rows = []) => {
+  const fields = {};
+
+  // A nested list of date-wise lectures, e.g. { lectures: [{ date, status }] }
+  const lectures = headers.find((header) =>
+    rows.some((row) => isLectureList(row?.[header]))
+  );
+  if (lectures) fields.lectures = lectures;
+
+  headers.forEach((header) => {
+    if (header === fields.lectures) return;
+    const match = FIELD_PATTERNS.find(
+      ([field, pattern]) => !fields[field] && pattern.test(header)
+    );
+    if (match) fields[match[0]] = header;
+  });
+
+  // A single "12/15" column can stand in for separate counts
+  if (!fields.held || !(fields.attended || fields.absent)) {
+    const fraction = headers.find((header) =>
+      rows.some((row) => parseFraction(row?.[header]))
+    );
+    if (fraction) fields.fraction = fraction;
+  }
+
+  // One row per lecture: a date column and a present/absent column
+  if (!fields.held && !fields.fraction && !fields.percentage && !lectures) {
+    const date = headers.find(
+      (header) =>
+        LECTURE_DATE_PATTERN.test(header) &&
+        rows.some((row) => parseDate(String(row?.[header] ?? "")))
+    );
+    const status = headers.find(
+      (header) =>
+        header !== date &&
+        LECTURE_STATUS_PATTERN.test(header) &&
+        rows.every((row) => {
+          const value = parseLectureStatus(row?.[header]);
+          return value === null || value === "present" || value === "absent";
+        })
+    );
+    if (date && status) {
+      fields.date = date;
+      fields.status = status;
+      if (fields.attended === status) delete fields.attended;
+      if (fields.absent === status) delete fields.absent;
+    }
+  }
+
+  // Fall back to the first text column for the subject name
+  if (!fields.name && !fields.code) {
+    fields.name = headers.find((header) =>
+      rows.some(
+        (row) => typeof row?.[header] === "string" && isNaN(row[header])
+      )
+    );
+  }
+
+  return fields;
+};
+
+const readCounts = (row, fields) => {
+  if (fields.fraction) {
+    const fraction = parseFraction(row[fields.fraction]);
+    if (fraction) return fraction;
+  }
+
+  const held = fields.held ? parseNumber(row[fields.held]) : null;
+  let attended = fields.attended ? parseNumber(row[fields.attended]) : null;
+  if (attended === null && fields.absent && held !== null) {
+    const absent = parseNumber(row[fields.absent]);
+    attended = absent === null ? null : held - absent;
+  }
+  return { held, attended };
+};
+
+// Row shapes the backend has been seen to send. The first adapter whose
+// `matches` accepts the dataset maps every row.
+export const ADAPTERS = [
+  {
+    name: "counts",
+    matches: (fields) => fields.held && (fields.attended || fields.absent),
+  },
+  { name: "fraction", matches: (fields) => fields.fraction },
+  { name: "lectures", matches: (fields) => fields.lectures || fields.date },
+  { name: "percentage", matches: (fields) => fields.percentage },
+  // Anything else is kept for display only
+  { name: "generic", matches: () => true },
+];
+
+const toSubject = (row, fields, index) => {
+  const lectures = fields.lectures ? parseLectures(row[fields.lectures]) : [];
+  let { held, attended } = readCounts(row, fields);
+  if (held === null && attended === null && fields.lectures) {
+    ({ held, attended } = countLectures(lectures));
+  }
+  const parsedPercentage = fields.percentage
+    ? parseNumber(row[fields.percentage])
+    : null;
+  const percentage =
+    held !== null && attended !== null && held > 0
+      ? (attended / held) * 100
+      : parsedPercentage;
+
+  const consumed = new Set(Object.values(fields));
+  const extra = {};
+  Object.keys(row).forEach((key) => {
+    if (!consumed.has(key)) extra[key] = row[key];
+  });
+
+  const code =
+    fields.code && !isBlank(row[fields.code]) ? String(row[fields.code]) : null;
+  const name =
+    fields.name && !isBlank(row[fields.name]) ? String(row[fields.name]) : null;
+
+  return {
+    id: code || name || `Row ${index + 1}`,
+    code,
+    name,
+    held,
+    attended,
+    percentage,
+    lectures,
+    extra,
+  };
+};
+
+// Folds one-row-per-lecture data into one row per subject carrying its
+// lectures. Rows that cannot be read are reported against their own index.
+const groupLectureRows = (rows, fields, fail) => {
+  const groups = new Map();
+
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      fail(index, row, t("subjects.errors.notObject"));
+      return;
+    }
+    const code =
+      fields.code && !isBlank(row[fields.code]) ? row[fields.code] : null;
+    const name =
+      fields.name && !isBlank(row[fields.name]) ? row[fields.name] : null;
+    if (!code && !name) {
+      fail(index, row, t("subjects.errors.noName"));
+      return;
+    }
+    const lecture = readLecture(row[fields.date], row[fields.status]);
+    if (!lecture) {
+      fail(index, row, t("subjects.errors.badLecture"));
+      return;
+    }
+
+    const key = String(code || name);
+    if (!groups.has(key)) {
+      const group = { [LECTURES_KEY]: [] };
+      if (fields.code) group[fields.code] = code;
+      if (fields.name) group[fields.name] = name;
+      groups.set(key, group);
+    }
+    groups.get(key)[LECTURES_KEY].push(lecture);
+  });
+
+  return {
+    rows: Array.from(groups.values()),
+    fields: { code: fields.code, name: fields.name, lectures: LECTURES_KEY },
+  };
+};
+
+// Returns a reason the subject cannot be trusted, or null
+const validateSubject = (subject, adapter) => {
+  const { held, attended, percentage } = subject;
+  if (!subject.code && !subject.name) return t("subjects.errors.noName");
+  if (adapter === "counts" || adapter === "fraction") {
+    if (held === null || attended === null)
+      return t("subjects.errors.noCounts");
+  }
+  if (adapter === "percentage" && percentage === null) {
+    return t("subjects.errors.noPercentage");
+  }
+  if ((held !== null && held < 0) || (attended !== null && attended < 0)) {
+    return t("subjects.errors.negative");
+  }
+  if (held !== null && attended !== null && attended > held) {
+    return t("subjects.errors.attendedOverHeld", { attended, held });
+  }
+  if (percentage !== null && (percentage < 0 || percentage > 100)) {
+    return t("subjects.errors.percentageRange", { percentage });
+  }
+  return null;
+};
+
+// Maps raw rows to subjects. Rows that cannot be read are left out and
+// reported in `errors` as { index, row, message }.
+export const normalizeAttendance = (rows) => {
+  const result = { subjects: [], errors: [], adapter: null };
+  if (!Array.isArray(rows) || rows.length === 0) return result;
+
+  const objects = rows.filter(
+    (row) => row && typeof row === "object" && !Array.isArray(row)
+  );
+  const headers = [...new Set(objects.flatMap((row) => Object.keys(row)))];
+  let fields = detectFields(headers, objects);
+  const adapter = ADAPTERS.find((candidate) => candidate.matches(fields));
+  result.adapter = adapter.name;
+
+  const report = (index, row, reason) =>
+    result.errors.push({
+      index,
+      row,
+      message: t("subjects.rowError", { row: index + 1, reason }),
+    });
+
+  let sourceRows = rows;
+  if (fields.date) {
+    ({ rows: sourceRows, fields } = groupLectureRows(rows, fields, report));
+  }
+
+  const seen = new Set();
+  sourceRows.forEach((row, index) => {
+    const fail = (reason) => report(index, row, reason);
+
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      fail(t("subjects.errors.notObject"));
+      return;
+    }
+
+    const subject = toSubject(row, fields, index);
+    const problem = validateSubject(subject, adapter.name);
+    if (problem) {
+      fail(problem);
+      return;
+    }
+    if (seen.has(subject.id)) {
+      fail(t("subjects.errors.duplicate", { id: subject.id }));
+      return;
+    }
+
+    seen.add(subject.id);
+    result.subjects.push(subject);
+  });
+
+  return result;
+};
+
+// Flat object for tables and search: model fields first, then extras.
+// Extras that clash with a model field get a " (raw)" suffix.
+export const subjectToRow = (subject) => {
+  const row = {
+    id: subject.id,
+    name: subject.name,
+    code: subject.code,
+    held: subject.held,
+    attended: subject.attended,
+    percentage:
+      subject.percentage === null
+        ? null
+        : Math.round(subject.percentage * 10) / 10,
+  };
+  Object.keys(subject.extra).forEach((key) => {
+    row[MODEL_FIELDS.includes(key) ? `${key} (raw)` : key] = subject.extra[key];
+  });
+  return row;
+};
+
+// Headers worth showing for a set of rows from subjectToRow: every field
+// except the id that has a value in at least one row
+export const tableHeadersFor = (rows) => {
+  const headers = [];
+  rows.forEach((row) =>
+    Object.keys(row).forEach((key) => {
+      if (key !== "id" && !headers.includes(key) && !isBlank(row[key])) {
+        headers.push(key);
+      }
+    })
+  );
+  return headers;
+};
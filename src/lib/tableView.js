@@ -0,0 +1,100 @@
+import { parseNumber, calculateThreshold, DEFAULT_TARGET } from "./threshold";
+import { parseDate, isBlank } from "./columnTypes";
+import { t } from "../i18n";
+
+export const QUICK_FILTERS = ["all", "below75", "belowTarget"];
+
+export const quickFilterLabel = (filter) =>
+  t(`tableView.filters.${filter}`, { target: DEFAULT_TARGET });
+
+// The saved part of the table view. The search text is added by the
+// dashboard and lives only as long as the screen does.
+export const DEFAULT_TABLE_VIEW = {
+  sort: null, // { column, direction: "asc" | "desc" }
+  filter: "all",
+};
+
+const NUMERIC_PATTERN = /^\s*-?\d+(\.\d+)?\s*%?\s*$/;
+
+// A column is numeric when every non-empty value is a number or "82.5%"
+export const isNumericColumn = (rows, column) => {
+  const values = rows.map((row) => row[column]).filter((v) => !isBlank(v));
+  return (
+    values.length > 0 &&
+    values.every(
+      (value) => typeof value === "number" || NUMERIC_PATTERN.test(value)
+    )
+  );
+};
+
+// Tapping a header cycles ascending → descending → backend order
+export const nextSort = (sort, column) => {
+  if (!sort || sort.column !== column) return { column, direction: "asc" };
+  if (sort.direction === "asc") return { column, direction: "desc" };
+  return null;
+};
+
+export const sortRows = (rows, sort) => {
+  if (!sort) return rows;
+
+  const { column, direction } = sort;
+  const numeric = isNumericColumn(rows, column);
+  const isDate =
+    !numeric &&
+    rows.every((row) => isBlank(row[column]) || parseDate(row[column]));
+  const factor = direction === "desc" ? -1 : 1;
+
+  // Blank values always go last, whichever the direction
+  return [...rows].sort((a, b) => {
+    const aBlank = isBlank(a[column]);
+    const bBlank = isBlank(b[column]);
+    if (aBlank || bBlank) return aBlank - bBlank;
+
+    if (numeric) {
+      return (parseNumber(a[column]) - parseNumber(b[column])) * factor;
+    }
+    if (isDate) {
+      return (parseDate(a[column]) - parseDate(b[column])) * factor;
+    }
+    return (
+      String(a[column]).localeCompare(String(b[column]), undefined, {
+        numeric: true,
+        sensitivity: "base",
+      }) * factor
+    );
+  });
+};
+
+export const matchesSearch = (row, search) => {
+  const query = search.trim().toLowerCase();
+  if (!query) return true;
+  return Object.values(row).some((value) =>
+    String(value ?? "")
+      .toLowerCase()
+      .includes(query)
+  );
+};
+
+// Rows are subjects flattened with subjectToRow (see lib/subjects)
+const matchesQuickFilter = (row, filter, target) => {
+  if (filter === "below75") {
+    const { percentage } = calculateThreshold(row, DEFAULT_TARGET);
+    return percentage !== null && percentage < DEFAULT_TARGET;
+  }
+  if (filter === "belowTarget") {
+    return calculateThreshold(row, target).status === "below";
+  }
+  return true;
+};
+
+// Rows as they should be shown: filtered by search and quick filter, then
+// sorted. `view` is the saved view plus the current `search` text.
+export const applyTableView = (rows, view, { target }) =>
+  sortRows(
+    rows.filter(
+      (row) =>
+        matchesSearch(row, view.search) &&
+        matchesQuickFilter(row, view.filter, target)
+    ),
+    view.sort
+  );
@@ -0,0 +1,119 @@
+import { t, formatPercent } from "../i18n";
+
+export const DEFAULT_TARGET = 75;
+
+// Pulls a number out of values like 12, "12", "82.5%" or "82.5 %"
+export const parseNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+  const match = value.replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+// How many classes can be missed while staying at or above the target
+export const classesCanSkip = (attended, total, target) => {
+  if (target <= 0) return Infinity;
+  return Math.max(Math.floor((attended * 100) / target - total), 0);
+};
+
+// How many classes in a row must be attended to get back to the target
+export const classesToAttend = (attended, total, target) => {
+  if (attended * 100 >= target * total) return 0;
+  if (target >= 100) return Infinity;
+  return Math.ceil((target * total - 100 * attended) / (100 - target));
+};
+
+// Returns { percentage, canSkip, mustAttend, status } for a subject (see
+// lib/subjects), where status is "safe", "edge", "below" or "unknown".
+// canSkip/mustAttend are null when only a percentage is available.
+export const calculateThreshold = (subject, target = DEFAULT_TARGET) => {
+  const { attended, held } = subject;
+
+  if (attended != null && held != null && held > 0) {
+    const percentage = (attended / held) * 100;
+    const canSkip = classesCanSkip(attended, held, target);
+    const mustAttend = classesToAttend(attended, held, target);
+    let status = "below";
+    if (mustAttend === 0) status = canSkip > 0 ? "safe" : "edge";
+    return { attended, total: held, percentage, canSkip, mustAttend, status };
+  }
+
+  const percentage = subject.percentage ?? null;
+  if (percentage === null) {
+    return {
+      percentage: null,
+      canSkip: null,
+      mustAttend: null,
+      status: "unknown",
+    };
+  }
+
+  return {
+    percentage,
+    canSkip: null,
+    mustAttend: null,
+    status: percentage >= target ? "safe" : "below",
+  };
+};
+
+export const describeThreshold = (result) => {
+  switch (result.status) {
+    case "safe":
+      return result.canSkip === null
+        ? t("threshold.aboveTarget")
+        : t("threshold.canSkip", { count: result.canSkip });
+    case "edge":
+      return t("threshold.cantSkip");
+    case "below":
+      if (result.mustAttend === null) return t("threshold.belowTarget");
+      if (result.mustAttend === Infinity) return t("threshold.unreachable");
+      return t("threshold.attendNext", { count: result.mustAttend });
+    default:
+      return "—";
+  }
+};
+
+const percentOf = (attended, total) => formatPercent((attended / total) * 100);
+
+// Spells out the calculation behind describeThreshold for the detail screen
+export const explainThreshold = (result, target = DEFAULT_TARGET) => {
+  const { attended, total, canSkip, mustAttend } = result;
+
+  if (result.status === "unknown") return t("threshold.explain.unknown");
+  if (total === undefined) {
+    return t(
+      result.status === "safe"
+        ? "threshold.explain.percentageOnlySafe"
+        : "threshold.explain.percentageOnlyBelow",
+      { target }
+    );
+  }
+
+  const current = t("threshold.explain.current", {
+    attended,
+    total,
+    percent: percentOf(attended, total),
+  });
+  if (mustAttend === Infinity) {
+    return t("threshold.explain.unreachable", { current, target });
+  }
+  if (mustAttend > 0) {
+    return t("threshold.explain.mustAttend", {
+      current,
+      target,
+      count: mustAttend,
+      attended: attended + mustAttend,
+      total: total + mustAttend,
+      percent: percentOf(attended + mustAttend, total + mustAttend),
+    });
+  }
+  if (canSkip === 0) return t("threshold.explain.edge", { current, target });
+  return t("threshold.explain.canSkip", {
+    current,
+    target,
+    count: canSkip,
+    attended,
+    total: total + canSkip,
+    percent: percentOf(attended, total + canSkip),
+  });
+};
@@ -0,0 +1,90 @@
+import { formatDate } from "../i18n";
+
+// Helpers for the weekly timetable (see ../storage/timetable).
+
+// Weekday indexes, Monday first
+export const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Name of a weekday in the current language; `style` is "long", "short"
+// or "narrow". 1 January 2024 was a Monday.
+export const weekdayLabel = (weekday, style = "long") =>
+  formatDate(new Date(2024, 0, 1 + weekday), { weekday: style });
+
+// "9:05", "09:05" or "0905" -> "09:05"; null if not a valid time
+export const parseTime = (value) => {
+  const match = String(value ?? "")
+    .trim()
+    .match(/^(\d{1,2}):?(\d{2})$/);
+  if (!match) return null;
+  const [hours, minutes] = [Number(match[1]), Number(match[2])];
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, "0")}:${match[2]}`;
+};
+
+export const makeSlot = (subjectId, weekday, start) => ({
+  id: `${subjectId}|${weekday}|${start}`,
+  subjectId,
+  weekday,
+  start,
+});
+
+// Adds slots that are not already in the list, sorted by day and time
+export const mergeSlots = (slots, added) => {
+  const byId = new Map(slots.map((slot) => [slot.id, slot]));
+  added.forEach((slot) => {
+    if (!byId.has(slot.id)) byId.set(slot.id, slot);
+  });
+  return Array.from(byId.values()).sort(
+    (a, b) => a.weekday - b.weekday || a.start.localeCompare(b.start)
+  );
+};
+
+const simplify = (text) =>
+  String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Finds the subject an event title refers to: by code first, then by name
+export const matchSubject = (title, subjects) => {
+  const text = ` ${simplify(title)} `;
+  if (!text.trim()) return null;
+
+  const byCode = subjects.find(
+    (subject) => subject.code && text.includes(` ${simplify(subject.code)} `)
+  );
+  if (byCode) return byCode.id;
+
+  const byName = subjects.find((subject) => {
+    const name = simplify(subject.name);
+    return name && (text.includes(` ${name} `) || name.includes(text.trim()));
+  });
+  return byName ? byName.id : null;
+};
+
+// Turns parsed .ics events into slots. Titles that match no subject are
+// returned in `unmatched` so the user can add them by hand.
+export const eventsToSlots = (events, subjects) => {
+  const slots = [];
+  const unmatched = new Set();
+
+  events.forEach((event) => {
+    const subjectId = matchSubject(event.summary, subjects);
+    if (!subjectId) {
+      unmatched.add(event.summary);
+      return;
+    }
+    event.weekdays.forEach((weekday) =>
+      slots.push(makeSlot(subjectId, weekday, event.start))
+    );
+  });
+
+  return { slots: mergeSlots([], slots), unmatched: Array.from(unmatched) };
+};
+
+// Number of classes for each subject in one week: { [subjectId]: count }
+export const weeklyCounts = (slots) =>
+  slots.reduce((counts, slot) => {
+    counts[slot.subjectId] = (counts[slot.subjectId] || 0) + 1;
+    return counts;
+  }, {});
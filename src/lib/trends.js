@@ -0,0 +1,73 @@
+import { normalizeAttendance } from "./subjects";
+import { isPlannable } from "./planner";
+
+// Turns stored snapshots into one percentage series per subject plus an
+// overall aggregate. Each point is { fetchedAt, value }; subjects are
+// { id, name, points }. The overall value comes from the class counts, or
+// is the mean percentage when no subject has both counts.
+export const buildTrends = (snapshots) => {
+  const subjects = new Map();
+  const overall = [];
+
+  snapshots.forEach(({ fetchedAt, attendance }) => {
+    const { subjects: current } = normalizeAttendance(attendance);
+
+    let attendedSum = 0;
+    let heldSum = 0;
+    const percentages = [];
+
+    current.forEach((subject) => {
+      if (subject.percentage === null) return;
+
+      if (!subjects.has(subject.id)) {
+        subjects.set(subject.id, {
+          id: subject.id,
+          name: subject.name || subject.id,
+          points: [],
+        });
+      }
+      subjects
+        .get(subject.id)
+        .points.push({ fetchedAt, value: subject.percentage });
+
+      percentages.push(subject.percentage);
+      if (isPlannable(subject)) {
+        attendedSum += subject.attended;
+        heldSum += subject.held;
+      }
+    });
+
+    if (heldSum > 0) {
+      overall.push({ fetchedAt, value: (attendedSum / heldSum) * 100 });
+    } else if (percentages.length > 0) {
+      const mean =
+        percentages.reduce((sum, value) => sum + value, 0) / percentages.length;
+      overall.push({ fetchedAt, value: mean });
+    }
+  });
+
+  return { overall, subjects: Array.from(subjects.values()) };
+};
+
+// Change between the first and last point of a series, or null
+export const trendDelta = (points) =>
+  points.length < 2 ? null : points[points.length - 1].value - points[0].value;
+
+// One subject across stored snapshots, oldest first:
+// [{ fetchedAt, held, attended, percentage }]
+export const subjectHistory = (snapshots, id) =>
+  snapshots.flatMap(({ fetchedAt, attendance }) => {
+    const subject = normalizeAttendance(attendance).subjects.find(
+      (candidate) => candidate.id === id
+    );
+    return subject
+      ? [
+          {
+            fetchedAt,
+            held: subject.held,
+            attended: subject.attended,
+            percentage: subject.percentage,
+          },
+        ]
+      : [];
+  });
@@ -0,0 +1,229 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import {
+  View,
+  ActivityIndicator,
+  TouchableOpacity,
+  StatusBar,
+  StyleSheet,
+} from "react-native";
+import {
+  NavigationContainer,
+  DefaultTheme,
+  DarkTheme,
+  getStateFromPath,
+  useNavigationContainerRef,
+} from "@react-navigation/native";
+import { createNativeStackNavigator } from "@react-navigation/native-stack";
+import * as Linking from "expo-linking";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import { APP_SCHEME } from "../config";
+import { GMAIL_CALLBACK_PATH } from "../auth/gmailAuth";
+import { useSession } from "../state/SessionContext";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+import LoginScreen from "../screens/LoginScreen";
+import RegisterScreen from "../screens/RegisterScreen";
+import DashboardScreen from "../screens/DashboardScreen";
+import SubjectDetailScreen from "../screens/SubjectDetailScreen";
+import SettingsScreen from "../screens/SettingsScreen";
+import PlannerScreen from "../screens/PlannerScreen";
+import ForecastScreen from "../screens/ForecastScreen";
+import TimetableScreen from "../screens/TimetableScreen";
+import DemoModeScreen from "../screens/DemoModeScreen";
+
+const Stack = createNativeStackNavigator();
+
+// Deep links such as myattendanceapp://subject/CS101 open the matching
+// screen. Only screens of the current auth state exist, so a link to a
+// signed-in screen that arrives while signed out is kept and opened once
+// the user has logged in (see AppNavigator).
+export const linking = {
+  prefixes: [Linking.createURL("/"), `${APP_SCHEME}://`],
+  // The Gmail callback is handled by the session, not by a screen
+  filter: (url) => !url.includes(GMAIL_CALLBACK_PATH),
+  config: {
+    screens: {
+      Login: "login",
+      Register: "register",
+      Dashboard: "dashboard",
+      SubjectDetail: "subject/:subjectId",
+      Planner: "planner",
+      Forecast: "forecast",
+      Timetable: "timetable",
+      Settings: "settings",
+    },
+  },
+};
+
+// Screens that exist while signed out; links to any other screen wait for
+// a sign-in
+const SIGNED_OUT_SCREENS = ["Login", "Register", "DemoMode"];
+
+// Header and navigation colours for the current app theme
+const navigationTheme = (theme) => {
+  const base = theme.dark ? DarkTheme : DefaultTheme;
+  return {
+    ...base,
+    colors: {
+      ...base.colors,
+      primary: theme.colors.accentBright,
+      background: theme.colors.header,
+      card: theme.colors.header,
+      text: theme.colors.onHeader,
+      border: theme.colors.header,
+    },
+  };
+};
+
+const screenOptions = ({ colors }) => ({
+  headerStyle: { backgroundColor: colors.header },
+  headerTintColor: colors.onHeader,
+  headerTitleStyle: { fontWeight: "600" },
+  contentStyle: { backgroundColor: colors.header },
+});
+
+const AppNavigator = () => {
+  const { status } = useSession();
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const navTheme = useMemo(() => navigationTheme(theme), [theme]);
+  const navigationRef = useNavigationContainerRef();
+  const pendingRoute = useRef(null);
+
+  // The linking config is read once, so it checks the session through a ref
+  const statusRef = useRef(status);
+  statusRef.current = status;
+  const sessionLinking = useMemo(
+    () => ({
+      ...linking,
+      getStateFromPath: (path, options) => {
+        const state = getStateFromPath(path, options);
+        const route = state?.routes.at(-1);
+        if (
+          route &&
+          statusRef.current !== "authenticated" &&
+          !SIGNED_OUT_SCREENS.includes(route.name)
+        ) {
+          pendingRoute.current = route;
+          return undefined;
+        }
+        return state;
+      },
+    }),
+    []
+  );
+
+  // Opens a link that had to wait for the sign-in, on top of the dashboard
+  useEffect(() => {
+    if (status !== "authenticated" || !pendingRoute.current) return;
+    const { name, params } = pendingRoute.current;
+    pendingRoute.current = null;
+    navigationRef.navigate(name, params);
+  }, [status]);
+
+  const statusBar = (
+    <StatusBar barStyle='light-content' backgroundColor={theme.colors.header} />
+  );
+
+  // Wait for the stored session so the first screen is the right one
+  if (status === "restoring") {
+    return (
+      <View style={styles.splash}>
+        {statusBar}
+        <ActivityIndicator size='large' color={theme.colors.onHeader} />
+      </View>
+    );
+  }
+
+  return (
+    <NavigationContainer
+      ref={navigationRef}
+      linking={sessionLinking}
+      theme={navTheme}
+    >
+      {statusBar}
+      <Stack.Navigator screenOptions={screenOptions(theme)}>
+        {status === "authenticated" ? (
+          <>
+            <Stack.Screen
+              name='Dashboard'
+              component={DashboardScreen}
+              options={({ navigation }) => ({
+                title: t("app.title"),
+                headerRight: () => (
+                  <TouchableOpacity
+                    onPress={() => navigation.navigate("Settings")}
+                    accessibilityLabel={t("settings.title")}
+                  >
+                    <Ionicons
+                      name='settings-outline'
+                      size={22}
+                      color={theme.colors.onHeader}
+                    />
+                  </TouchableOpacity>
+                ),
+              })}
+            />
+            <Stack.Screen
+              name='SubjectDetail'
+              component={SubjectDetailScreen}
+              options={{ title: t("subject.title") }}
+            />
+            <Stack.Screen
+              name='Planner'
+              component={PlannerScreen}
+              options={{ title: t("planner.title") }}
+            />
+            <Stack.Screen
+              name='Forecast'
+              component={ForecastScreen}
+              options={{ title: t("forecast.title") }}
+            />
+            <Stack.Screen
+              name='Timetable'
+              component={TimetableScreen}
+              options={{ title: t("timetable.title") }}
+            />
+            <Stack.Screen
+              name='Settings'
+              component={SettingsScreen}
+              options={{ title: t("settings.title") }}
+            />
+          </>
+        ) : (
+          <>
+            <Stack.Screen
+              name='Login'
+              component={LoginScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name='Register'
+              component={RegisterScreen}
+              options={{ title: t("register.title") }}
+            />
+            <Stack.Screen
+              name='DemoMode'
+              component={DemoModeScreen}
+              options={{ title: t("demo.title") }}
+            />
+          </>
+        )}
+      </Stack.Navigator>
+    </NavigationContainer>
+  );
+};
+
+export default AppNavigator;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    splash: {
+      flex: 1,
+      justifyContent: "center",
+      alignItems: "center",
+      backgroundColor: colors.header,
+    },
+  });
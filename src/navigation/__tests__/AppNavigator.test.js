@@ -0,0 +1,59 @@
+import React from "react";
+import { Linking } from "react-native";
+import { act, fireEvent, screen, waitFor } from "@testing-library/react-native";
+import { installMockBackend } from "../../../jest/mockBackend";
+import { renderWithProviders } from "../../../jest/renderWithProviders";
+import AppNavigator from "../AppNavigator";
+
+let backend;
+
+beforeEach(() => {
+  backend = installMockBackend({ users: { S1: "secret" } });
+});
+
+afterEach(() => {
+  backend.restore();
+});
+
+const logIn = async (systemId, password) => {
+  fireEvent.changeText(
+    await screen.findByPlaceholderText("Enter your system ID"),
+    systemId
+  );
+  fireEvent.changeText(
+    screen.getByPlaceholderText("Enter your password"),
+    password
+  );
+  fireEvent.press(screen.getByText("Login"));
+  await waitFor(() =>
+    expect(screen.getByTestId("session-status")).toHaveTextContent(
+      `authenticated:${systemId}`
+    )
+  );
+};
+
+describe("deep links while signed out", () => {
+  it("opens a signed-in screen once the user has logged in", async () => {
+    Linking.getInitialURL.mockResolvedValue("myattendanceapp://subject/CS101");
+    renderWithProviders(<AppNavigator />);
+
+    await logIn("S1", "secret");
+
+    // Only the subject screen lists every field
+    expect(await screen.findByText("All details")).toBeOnTheScreen();
+  });
+
+  it("shows the saved accounts on the dashboard", async () => {
+    Linking.getInitialURL.mockResolvedValue(null);
+    renderWithProviders(<AppNavigator />);
+
+    await logIn("S1", "secret");
+    // Lets the dashboard's entry transition finish before looking at it
+    await act(async () => jest.advanceTimersByTime(500));
+
+    expect(screen.getByText("Welcome, S1")).toBeOnTheScreen();
+    expect(screen.queryByText("All details")).toBeNull();
+    // The account switcher, collapsed to the active account
+    expect(screen.getByText("S1")).toBeOnTheScreen();
+  });
+});
@@ -0,0 +1,626 @@
+import React, { useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import LottieView from "lottie-react-native";
+import ScreenContainer from "../components/ScreenContainer";
+import ServerStatusIndicator from "../components/ServerStatusIndicator";
+import SessionExpiry from "../components/SessionExpiry";
+import AccountSwitcher from "../components/AccountSwitcher";
+import HistoryView from "../components/HistoryView";
+import SubjectTable from "../components/SubjectTable";
+import Stepper, { formatPercentValue } from "../components/Stepper";
+import Chip from "../components/Chip";
+import { useSession } from "../state/SessionContext";
+import { useAttendance } from "../state/AttendanceContext";
+import { useSettings, TARGET_STEP } from "../state/SettingsContext";
+import { useFeedback } from "../state/FeedbackContext";
+import {
+  QUICK_FILTERS,
+  quickFilterLabel,
+  nextSort,
+  applyTableView,
+} from "../lib/tableView";
+import { formatValue, percentageLevel } from "../lib/columnTypes";
+import { fieldLabel } from "../lib/subjects";
+import { formatTimestamp } from "../storage/attendanceCache";
+import {
+  shareAttendanceCsv,
+  shareAttendancePdf,
+} from "../export/shareAttendance";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+const VIEW_OPTIONS = [
+  { key: "table", icon: "grid-outline" },
+  { key: "history", icon: "trending-up-outline" },
+];
+
+const DashboardScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const session = useSession();
+  const attendance = useAttendance();
+  const settings = useSettings();
+  const { showError, dismiss } = useFeedback();
+  const { t } = useI18n();
+  const [attendanceView, setAttendanceView] = useState("table");
+  const [exporting, setExporting] = useState(false);
+  // Not saved with the rest of the table view, so a forgotten search does
+  // not hide subjects the next time the app opens
+  const [search, setSearch] = useState("");
+
+  const { subjectRows, tableHeaders, columnTypes, normalized } = attendance;
+  const { target, tableView, colorThresholds } = settings;
+
+  const hasThresholdData = subjectRows.some((row) => row.percentage !== null);
+
+  // Rows after the user's search, quick filter and sort
+  const visibleRows = useMemo(
+    () => applyTableView(subjectRows, { ...tableView, search }, { target }),
+    [subjectRows, tableView, search, target]
+  );
+
+  const openSubject = (row) =>
+    navigation.navigate("SubjectDetail", { subjectId: row.id });
+
+  // Exports the table as currently shown, after search, filter and sort
+  const handleExport = async (format) => {
+    dismiss("export");
+    setExporting(true);
+    try {
+      const report = {
+        systemId: session.systemId,
+        fetchedAt: attendance.lastUpdated,
+        target: hasThresholdData ? target : undefined,
+        columns: tableHeaders.map((key) => ({ key, label: fieldLabel(key) })),
+        rows: visibleRows,
+        formatCell: (key, value) => formatValue(value, columnTypes[key]),
+        cellLevel: (key, value) =>
+          columnTypes[key] === "percentage"
+            ? percentageLevel(value, colorThresholds)
+            : null,
+      };
+      if (format === "pdf") {
+        await shareAttendancePdf(report);
+      } else {
+        await shareAttendanceCsv(report);
+      }
+    } catch (err) {
+      console.error("Export error:", err);
+      showError(err.message || t("export.failed"), {
+        key: "export",
+        action: {
+          label: t("common.retry"),
+          onPress: () => handleExport(format),
+        },
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const openExportMenu = () =>
+    Alert.alert(
+      t("export.menuTitle"),
+      visibleRows.length === subjectRows.length
+        ? t("export.shareAll")
+        : t("export.shareShown", { count: visibleRows.length }),
+      [
+        { text: t("common.cancel"), style: "cancel" },
+        { text: t("export.csv"), onPress: () => handleExport("csv") },
+        { text: t("export.pdf"), onPress: () => handleExport("pdf") },
+      ]
+    );
+
+  return (
+    <ScreenContainer>
+      <View style={styles.statusRow}>
+        <ServerStatusIndicator />
+      </View>
+
+      <View style={commonStyles.card}>
+        <View style={styles.welcomeSection}>
+          <Text style={styles.welcomeText}>
+            {t("dashboard.welcome", { systemId: session.systemId })}
+          </Text>
+          <TouchableOpacity
+            style={styles.logoutButton}
+            onPress={session.logout}
+          >
+            <Text style={styles.logoutText}>{t("dashboard.logout")}</Text>
+            <Ionicons
+              name='log-out-outline'
+              size={16}
+              color={colors.destructive}
+            />
+          </TouchableOpacity>
+        </View>
+
+        <AccountSwitcher
+          accounts={session.accounts.accounts}
+          activeId={session.systemId}
+          onSwitch={session.switchAccount}
+          onAdd={session.addAccount}
+          onRename={session.renameAccount}
+          onRemove={session.removeAccount}
+        />
+
+        <SessionExpiry
+          token={session.token}
+          onReauthenticate={session.reauthenticate}
+        />
+
+        <TouchableOpacity
+          style={[commonStyles.button, commonStyles.primaryButton]}
+          onPress={() => attendance.fetchAttendance()}
+          disabled={attendance.fetching}
+        >
+          {attendance.fetching ? (
+            <ActivityIndicator color={colors.onAccent} />
+          ) : (
+            <View style={commonStyles.buttonContent}>
+              <Ionicons
+                name='calendar-outline'
+                size={20}
+                color={colors.onAccent}
+              />
+              <Text style={commonStyles.buttonText}>
+                {t("dashboard.fetch")}
+              </Text>
+            </View>
+          )}
+        </TouchableOpacity>
+
+        {subjectRows.length > 0 && (
+          <TouchableOpacity
+            style={[commonStyles.button, styles.plannerButton]}
+            onPress={() => navigation.navigate("Planner")}
+          >
+            <View style={commonStyles.buttonContent}>
+              <Ionicons
+                name='calculator-outline'
+                size={20}
+                color={colors.accent}
+              />
+              <Text style={[commonStyles.buttonText, styles.plannerText]}>
+                {t("dashboard.planner")}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        )}
+        {subjectRows.length > 0 && (
+          <TouchableOpacity
+            style={[commonStyles.button, styles.plannerButton]}
+            onPress={() => navigation.navigate("Forecast")}
+          >
+            <View style={commonStyles.buttonContent}>
+              <Ionicons
+                name='calendar-outline'
+                size={20}
+                color={colors.accent}
+              />
+              <Text style={[commonStyles.buttonText, styles.plannerText]}>
+                {t("dashboard.forecast")}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {attendance.fetching && !attendance.attendance && (
+        <View style={styles.loadingContainer}>
+          <LottieView
+            source={require("../../assets/loading.json")}
+            autoPlay
+            loop
+            style={styles.loadingAnimation}
+          />
+          <Text style={styles.loadingText}>{t("dashboard.fetching")}</Text>
+        </View>
+      )}
+
+      {attendance.attendance && (
+        <View style={[commonStyles.card, styles.attendanceContainer]}>
+          <View style={styles.attendanceHeader}>
+            <View>
+              <Text style={styles.attendanceTitle}>
+                {t("dashboard.detailsTitle")}
+              </Text>
+              <Text style={styles.attendanceSubtitle}>
+                {visibleRows.length === subjectRows.length
+                  ? t("dashboard.records", { count: subjectRows.length })
+                  : t("dashboard.recordsShown", {
+                      shown: visibleRows.length,
+                      count: subjectRows.length,
+                    })}
+              </Text>
+            </View>
+            {subjectRows.length > 0 && (
+              <TouchableOpacity
+                style={styles.exportButton}
+                onPress={openExportMenu}
+                disabled={exporting}
+              >
+                {exporting ? (
+                  <ActivityIndicator size='small' color={colors.accent} />
+                ) : (
+                  <Ionicons
+                    name='share-outline'
+                    size={18}
+                    color={colors.accent}
+                  />
+                )}
+                <Text style={styles.exportButtonText}>
+                  {t("export.button")}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {attendance.lastUpdated && (
+            <View
+              style={[
+                styles.lastUpdatedBanner,
+                attendance.isStale && styles.staleBanner,
+              ]}
+            >
+              <Ionicons
+                name={
+                  attendance.isStale ? "cloud-offline-outline" : "time-outline"
+                }
+                size={16}
+                color={attendance.isStale ? colors.caution : colors.textMuted}
+              />
+              <Text
+                style={[
+                  styles.lastUpdatedText,
+                  attendance.isStale && styles.staleText,
+                ]}
+              >
+                {attendance.isStale
+                  ? t("dashboard.staleSince", {
+                      time: formatTimestamp(attendance.lastUpdated),
+                    })
+                  : t("dashboard.lastUpdated", {
+                      time: formatTimestamp(attendance.lastUpdated),
+                    })}
+              </Text>
+              {attendance.isStale && attendance.fetching && (
+                <ActivityIndicator size='small' color={colors.caution} />
+              )}
+            </View>
+          )}
+
+          <View style={styles.viewToggle}>
+            {VIEW_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.key}
+                style={[
+                  styles.viewToggleButton,
+                  attendanceView === option.key &&
+                    styles.viewToggleButtonActive,
+                ]}
+                onPress={() => setAttendanceView(option.key)}
+              >
+                <Ionicons
+                  name={option.icon}
+                  size={16}
+                  color={
+                    attendanceView === option.key
+                      ? colors.onAccent
+                      : colors.accent
+                  }
+                />
+                <Text
+                  style={[
+                    styles.viewToggleText,
+                    attendanceView === option.key &&
+                      styles.viewToggleTextActive,
+                  ]}
+                >
+                  {t(`dashboard.views.${option.key}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {hasThresholdData && (
+            <View style={commonStyles.row}>
+              <Text style={commonStyles.rowLabel}>
+                {t("settings.requiredAttendance")}
+              </Text>
+              <Stepper
+                value={target}
+                step={TARGET_STEP}
+                min={TARGET_STEP}
+                format={formatPercentValue}
+                onChange={settings.setTarget}
+              />
+            </View>
+          )}
+
+          {normalized.errors.length > 0 && (
+            <TouchableOpacity
+              style={[styles.lastUpdatedBanner, styles.staleBanner]}
+              onPress={() =>
+                Alert.alert(
+                  t("dashboard.rowErrorsTitle"),
+                  normalized.errors
+                    .map((rowError) => rowError.message)
+                    .join("\n")
+                )
+              }
+            >
+              <Ionicons
+                name='warning-outline'
+                size={16}
+                color={colors.caution}
+              />
+              <Text style={[styles.lastUpdatedText, styles.staleText]}>
+                {t("dashboard.rowErrors", { count: normalized.errors.length })}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {attendanceView === "table" && subjectRows.length > 0 && (
+            <View style={styles.tableControls}>
+              <View style={commonStyles.inputWrapper}>
+                <Ionicons
+                  name='search-outline'
+                  size={18}
+                  color={colors.textMuted}
+                  style={commonStyles.inputIcon}
+                />
+                <TextInput
+                  style={styles.searchInput}
+                  value={search}
+                  onChangeText={setSearch}
+                  placeholder={t("dashboard.search")}
+                  placeholderTextColor={colors.textSubtle}
+                  autoCapitalize='none'
+                />
+                {search ? (
+                  <TouchableOpacity
+                    style={commonStyles.eyeIcon}
+                    onPress={() => setSearch("")}
+                  >
+                    <Ionicons
+                      name='close-circle'
+                      size={18}
+                      color={colors.textSubtle}
+                    />
+                  </TouchableOpacity>
+                ) : null}
+              </View>
+
+              {hasThresholdData && (
+                <View style={styles.filterChips}>
+                  {QUICK_FILTERS.map((filter) => (
+                    <Chip
+                      key={filter}
+                      label={quickFilterLabel(filter)}
+                      selected={tableView.filter === filter}
+                      onPress={() => settings.updateTableView({ filter })}
+                    />
+                  ))}
+                </View>
+              )}
+            </View>
+          )}
+
+          {attendanceView === "history" ? (
+            <HistoryView snapshots={attendance.history} target={target} />
+          ) : subjectRows.length === 0 ? (
+            <View style={styles.emptyAttendance}>
+              <Ionicons name='calendar' size={48} color={colors.textSubtle} />
+              <Text style={styles.emptyAttendanceText}>
+                {t("dashboard.empty")}
+              </Text>
+            </View>
+          ) : visibleRows.length === 0 ? (
+            <View style={styles.emptyAttendance}>
+              <Ionicons name='search' size={48} color={colors.textSubtle} />
+              <Text style={styles.emptyAttendanceText}>
+                {t("dashboard.noMatches")}
+              </Text>
+            </View>
+          ) : (
+            <SubjectTable
+              rows={visibleRows}
+              allRows={subjectRows}
+              headers={tableHeaders}
+              columnTypes={columnTypes}
+              sort={tableView.sort}
+              onSort={(header) =>
+                settings.updateTableView({
+                  sort: nextSort(tableView.sort, header),
+                })
+              }
+              target={target}
+              showThreshold={hasThresholdData}
+              colorThresholds={colorThresholds}
+              changedCells={attendance.changedCells}
+              onRowPress={openSubject}
+            />
+          )}
+        </View>
+      )}
+    </ScreenContainer>
+  );
+};
+
+export default DashboardScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    statusRow: {
+      alignItems: "center",
+      marginBottom: 16,
+    },
+    welcomeSection: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 16,
+    },
+    welcomeText: {
+      fontSize: 18,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    logoutButton: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    logoutText: {
+      fontSize: 14,
+      color: colors.destructive,
+      marginRight: 4,
+    },
+    plannerButton: {
+      marginTop: 12,
+      width: "100%",
+      backgroundColor: colors.card,
+      borderWidth: 1,
+      borderColor: colors.accent,
+    },
+    plannerText: {
+      color: colors.accent,
+    },
+    loadingContainer: {
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 20,
+    },
+    loadingAnimation: {
+      width: 150,
+      height: 150,
+    },
+    loadingText: {
+      marginTop: 16,
+      fontSize: 16,
+      color: colors.onHeader,
+      textAlign: "center",
+    },
+    attendanceContainer: {
+      padding: 16,
+    },
+    attendanceHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 16,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+      paddingBottom: 12,
+    },
+    attendanceTitle: {
+      fontSize: 18,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    attendanceSubtitle: {
+      fontSize: 14,
+      color: colors.textMuted,
+    },
+    exportButton: {
+      flexDirection: "row",
+      alignItems: "center",
+      borderWidth: 1,
+      borderColor: colors.accent,
+      borderRadius: 8,
+      paddingVertical: 6,
+      paddingHorizontal: 10,
+    },
+    exportButtonText: {
+      marginLeft: 6,
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.accent,
+    },
+    lastUpdatedBanner: {
+      flexDirection: "row",
+      alignItems: "center",
+      borderRadius: 8,
+      paddingVertical: 8,
+      paddingHorizontal: 12,
+      marginBottom: 12,
+      backgroundColor: colors.subtleBackground,
+    },
+    staleBanner: {
+      backgroundColor: colors.cautionBackground,
+    },
+    lastUpdatedText: {
+      flex: 1,
+      marginLeft: 8,
+      fontSize: 13,
+      color: colors.textMuted,
+    },
+    staleText: {
+      color: colors.caution,
+      fontWeight: "600",
+    },
+    viewToggle: {
+      flexDirection: "row",
+      backgroundColor: colors.selectedBackground,
+      borderRadius: 8,
+      padding: 4,
+      marginBottom: 12,
+    },
+    viewToggleButton: {
+      flex: 1,
+      flexDirection: "row",
+      justifyContent: "center",
+      alignItems: "center",
+      paddingVertical: 8,
+      borderRadius: 6,
+    },
+    viewToggleButtonActive: {
+      backgroundColor: colors.accent,
+    },
+    viewToggleText: {
+      marginLeft: 6,
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.accent,
+    },
+    viewToggleTextActive: {
+      color: colors.onAccent,
+    },
+    tableControls: {
+      marginBottom: 12,
+    },
+    searchInput: {
+      flex: 1,
+      height: 42,
+      fontSize: 14,
+      color: colors.text,
+    },
+    filterChips: {
+      flexDirection: "row",
+      flexWrap: "wrap",
+      marginTop: 10,
+    },
+    emptyAttendance: {
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 40,
+    },
+    emptyAttendanceText: {
+      marginTop: 12,
+      fontSize: 16,
+      color: colors.textMuted,
+      textAlign: "center",
+    },
+  });
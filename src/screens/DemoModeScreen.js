@@ -0,0 +1,120 @@
+import React, { useEffect, useSyncExternalStore } from "react";
+import { View, Text, Switch, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import { DEMO_ACCOUNT, DEMO_SCENARIOS } from "../demo/demoBackend";
+import {
+  getDemoMode,
+  loadDemoMode,
+  setDemoMode,
+  subscribeDemoMode,
+} from "../demo/demoMode";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+// Developer menu, opened in development builds by long-pressing the title
+// on the login screen. Switches the app between the real backend and demo
+// data; demo accounts are stored apart from real ones.
+const DemoModeScreen = () => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useI18n();
+  const demoMode = useSyncExternalStore(subscribeDemoMode, getDemoMode);
+
+  useEffect(() => {
+    loadDemoMode();
+  }, []);
+
+  return (
+    <ScreenContainer>
+      <View style={commonStyles.card}>
+        <View style={styles.switchRow}>
+          <View style={styles.text}>
+            <Text style={styles.title}>{t("demo.enable")}</Text>
+            <Text style={styles.description}>{t("demo.enableHint")}</Text>
+          </View>
+          <Switch
+            value={demoMode.enabled}
+            onValueChange={(enabled) => setDemoMode({ ...demoMode, enabled })}
+            trackColor={{ true: colors.accentBright }}
+          />
+        </View>
+        <Text style={styles.account}>{t("demo.account", DEMO_ACCOUNT)}</Text>
+      </View>
+
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("demo.scenario")}</Text>
+        {DEMO_SCENARIOS.map((scenario) => {
+          const selected = scenario === demoMode.scenario;
+          return (
+            <TouchableOpacity
+              key={scenario}
+              style={[styles.option, !demoMode.enabled && styles.disabled]}
+              onPress={() => setDemoMode({ ...demoMode, scenario })}
+              disabled={!demoMode.enabled}
+              accessibilityRole='radio'
+              accessibilityState={{ checked: selected }}
+            >
+              <Ionicons
+                name={selected ? "radio-button-on" : "radio-button-off"}
+                size={20}
+                color={colors.accent}
+              />
+              <View style={[styles.text, styles.optionText]}>
+                <Text style={styles.title}>
+                  {t(`demo.scenarios.${scenario}.title`)}
+                </Text>
+                <Text style={styles.description}>
+                  {t(`demo.scenarios.${scenario}.description`)}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </ScreenContainer>
+  );
+};
+
+export default DemoModeScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    switchRow: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    text: {
+      flex: 1,
+      marginRight: 12,
+    },
+    title: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    description: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginTop: 2,
+    },
+    account: {
+      fontSize: 13,
+      color: colors.text,
+      marginTop: 14,
+    },
+    option: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingVertical: 8,
+    },
+    optionText: {
+      marginLeft: 12,
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+  });
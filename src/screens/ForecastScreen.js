@@ -0,0 +1,348 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import Stepper, { formatPercentValue } from "../components/Stepper";
+import Chip from "../components/Chip";
+import { useAttendance } from "../state/AttendanceContext";
+import { useSettings, TARGET_STEP } from "../state/SettingsContext";
+import { useTimetable } from "../state/TimetableContext";
+import { parseDate, percentageLevel } from "../lib/columnTypes";
+import { toDateKey } from "../lib/lectures";
+import { isPlannable } from "../lib/planner";
+import { forecastSubject, riskySkipDates } from "../lib/forecast";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { formatDate, formatList, formatPercent } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+// How many risky dates are listed per subject before "and N more"
+const RISKY_DATES_SHOWN = 8;
+
+const formatPercentage = (value) =>
+  value === null || value === undefined ? "—" : formatPercent(value);
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+// Where each subject's percentage will be on a future date, from the
+// weekly timetable and the current counts, attending every class or a
+// chosen share of them, and which upcoming classes cannot be skipped.
+const ForecastScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const { normalized } = useAttendance();
+  const { target, colorThresholds } = useSettings();
+  const { slots, semesterEnd, examCutoff } = useTimetable();
+  const { t } = useI18n();
+  const [untilText, setUntilText] = useState(
+    () => examCutoff || semesterEnd || daysFromNow(30)
+  );
+  const [rate, setRate] = useState(100);
+
+  const presets = [
+    { label: t("forecast.presets.twoWeeks"), value: daysFromNow(14) },
+    { label: t("forecast.presets.oneMonth"), value: daysFromNow(30) },
+    examCutoff && {
+      label: t("forecast.presets.examCutoff"),
+      value: examCutoff,
+    },
+    semesterEnd && {
+      label: t("forecast.presets.semesterEnd"),
+      value: semesterEnd,
+    },
+  ].filter(Boolean);
+
+  const today = new Date();
+  const until = parseDate(untilText);
+  const validUntil = until && toDateKey(until) > toDateKey(today);
+  const subjects = normalized.subjects.filter(isPlannable);
+  const scheduled = new Set(slots.map((slot) => slot.subjectId));
+
+  const levelStyle = (value) => {
+    const level = percentageLevel(value, colorThresholds);
+    return level && styles[`${level}PercentText`];
+  };
+
+  if (slots.length === 0 || subjects.length === 0) {
+    return (
+      <ScreenContainer>
+        <View style={[commonStyles.card, styles.empty]}>
+          <Ionicons
+            name='calendar-outline'
+            size={48}
+            color={colors.textSubtle}
+          />
+          <Text style={styles.emptyText}>
+            {subjects.length === 0
+              ? t("forecast.noSubjects")
+              : t("forecast.noTimetable")}
+          </Text>
+          {subjects.length > 0 && (
+            <TouchableOpacity
+              style={commonStyles.linkButton}
+              onPress={() => navigation.navigate("Timetable")}
+            >
+              <Text style={commonStyles.linkText}>
+                {t("forecast.setUpTimetable")}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScreenContainer>
+    );
+  }
+
+  return (
+    <ScreenContainer>
+      <View style={commonStyles.card}>
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.inputLabel}>{t("forecast.until")}</Text>
+          <View style={commonStyles.inputWrapper}>
+            <Ionicons
+              name='calendar-outline'
+              size={20}
+              color={colors.textMuted}
+              style={commonStyles.inputIcon}
+            />
+            <TextInput
+              style={commonStyles.input}
+              value={untilText}
+              onChangeText={setUntilText}
+              placeholder='YYYY-MM-DD'
+              placeholderTextColor={colors.textSubtle}
+            />
+          </View>
+          {!validUntil && (
+            <Text style={styles.invalidText}>{t("forecast.invalidDate")}</Text>
+          )}
+        </View>
+        <View style={styles.chips}>
+          {presets.map((preset) => (
+            <Chip
+              key={preset.label}
+              label={preset.label}
+              selected={untilText === preset.value}
+              onPress={() => setUntilText(preset.value)}
+            />
+          ))}
+        </View>
+        <View style={commonStyles.row}>
+          <Text style={commonStyles.rowLabel}>{t("forecast.rate")}</Text>
+          <Stepper
+            value={rate}
+            step={TARGET_STEP}
+            format={formatPercentValue}
+            onChange={setRate}
+          />
+        </View>
+        <TouchableOpacity
+          style={commonStyles.linkButton}
+          onPress={() => navigation.navigate("Timetable")}
+        >
+          <Text style={commonStyles.linkText}>
+            {t("forecast.editTimetable")}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {validUntil &&
+        subjects.map((subject) => {
+          const options = { from: today, until, rate: rate / 100, target };
+          const forecast = forecastSubject(subject, slots, options);
+          const risky = riskySkipDates(subject, slots, options);
+
+          return (
+            <View key={subject.id} style={commonStyles.card}>
+              <TouchableOpacity
+                style={styles.subjectHeader}
+                onPress={() =>
+                  navigation.navigate("SubjectDetail", {
+                    subjectId: subject.id,
+                  })
+                }
+              >
+                <Text style={styles.subjectName} numberOfLines={2}>
+                  {subject.name || subject.id}
+                </Text>
+                <Ionicons
+                  name='chevron-forward'
+                  size={18}
+                  color={colors.textSubtle}
+                />
+              </TouchableOpacity>
+
+              {!scheduled.has(subject.id) ? (
+                <Text style={styles.noteText}>
+                  {t("forecast.notScheduled")}
+                </Text>
+              ) : (
+                <View style={styles.projection}>
+                  <View>
+                    <Text style={styles.projectionLabel}>
+                      {t("planner.now")}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.projectionValue,
+                        levelStyle(subject.percentage),
+                      ]}
+                    >
+                      {formatPercentage(subject.percentage)}
+                    </Text>
+                    <Text style={styles.projectionCounts}>
+                      {subject.attended}/{subject.held}
+                    </Text>
+                  </View>
+                  <View style={styles.projectionRight}>
+                    <Text style={styles.projectionLabel}>
+                      {t("forecast.on", {
+                        date: formatDate(until, {
+                          day: "numeric",
+                          month: "short",
+                        }),
+                      })}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.projectionValue,
+                        levelStyle(forecast.percentage),
+                      ]}
+                    >
+                      {formatPercentage(forecast.percentage)}
+                    </Text>
+                    <Text style={styles.projectionCounts}>
+                      {t("forecast.moreClasses", { count: forecast.classes })}
+                    </Text>
+                  </View>
+                </View>
+              )}
+
+              {risky.length > 0 && (
+                <View style={styles.risky}>
+                  <Text style={styles.riskyTitle}>
+                    {t("forecast.riskyTitle", { target })}
+                  </Text>
+                  <Text style={styles.riskyDates}>
+                    {formatList(
+                      risky.slice(0, RISKY_DATES_SHOWN).map((date) =>
+                        formatDate(parseDate(date), {
+                          weekday: "short",
+                          day: "numeric",
+                          month: "short",
+                        })
+                      )
+                    )}
+                    {risky.length > RISKY_DATES_SHOWN &&
+                      ` ${t("forecast.andMore", {
+                        count: risky.length - RISKY_DATES_SHOWN,
+                      })}`}
+                  </Text>
+                </View>
+              )}
+            </View>
+          );
+        })}
+    </ScreenContainer>
+  );
+};
+
+export default ForecastScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    empty: {
+      alignItems: "center",
+      padding: 40,
+    },
+    emptyText: {
+      marginTop: 12,
+      fontSize: 15,
+      color: colors.textMuted,
+      textAlign: "center",
+    },
+    invalidText: {
+      marginTop: 6,
+      fontSize: 13,
+      color: colors.percent.danger,
+    },
+    chips: {
+      flexDirection: "row",
+      flexWrap: "wrap",
+      marginBottom: 8,
+    },
+    subjectHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 12,
+    },
+    subjectName: {
+      flex: 1,
+      fontSize: 16,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    noteText: {
+      fontSize: 13,
+      color: colors.textMuted,
+    },
+    projection: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+    },
+    projectionRight: {
+      alignItems: "flex-end",
+    },
+    projectionLabel: {
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    projectionValue: {
+      fontSize: 20,
+      fontWeight: "700",
+      color: colors.textStrong,
+      fontVariant: ["tabular-nums"],
+    },
+    projectionCounts: {
+      fontSize: 12,
+      color: colors.textMuted,
+      fontVariant: ["tabular-nums"],
+    },
+    risky: {
+      marginTop: 12,
+      borderTopWidth: 1,
+      borderTopColor: colors.border,
+      paddingTop: 12,
+    },
+    riskyTitle: {
+      fontSize: 13,
+      fontWeight: "600",
+      color: colors.badge.below.text,
+      marginBottom: 4,
+    },
+    riskyDates: {
+      fontSize: 13,
+      color: colors.text,
+    },
+    dangerPercentText: {
+      color: colors.percent.danger,
+    },
+    warningPercentText: {
+      color: colors.percent.warning,
+    },
+    safePercentText: {
+      color: colors.percent.safe,
+    },
+  });
@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import AccountSwitcher from "../components/AccountSwitcher";
+import ServerStatusIndicator from "../components/ServerStatusIndicator";
+import { useSession } from "../state/SessionContext";
+import { useSettings } from "../state/SettingsContext";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { LANGUAGES } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+const LoginScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const session = useSession();
+  const { changeLanguage } = useSettings();
+  const { t, language } = useI18n();
+  const [systemId, setSystemId] = useState(session.systemId);
+  const [password, setPassword] = useState("");
+  const [secureTextEntry, setSecureTextEntry] = useState(true);
+  const loggingIn = session.status === "authenticating";
+  const linkingGmail = session.status === "linkingGmail";
+
+  // Follow the session when an account is picked, added or registered
+  useEffect(() => {
+    setSystemId(session.systemId);
+    setPassword("");
+  }, [session.systemId]);
+
+  const handleLogin = () => session.login(systemId, password);
+  const handleGmailAuth = () => session.linkGmail(systemId);
+
+  return (
+    <ScreenContainer underHeader={false}>
+      <View style={styles.headerContainer}>
+        {/* In development builds a long press opens the developer menu */}
+        <Text
+          style={styles.headerTitle}
+          onLongPress={
+            __DEV__ ? () => navigation.navigate("DemoMode") : undefined
+          }
+          delayLongPress={1500}
+          suppressHighlighting
+        >
+          {t("app.title")}
+        </Text>
+        <Text style={styles.headerSubtitle}>{t("login.subtitle")}</Text>
+        <ServerStatusIndicator />
+        {/* The language can be changed before signing in */}
+        <View style={styles.languages}>
+          {LANGUAGES.filter((option) => option.code !== language).map(
+            (option) => (
+              <TouchableOpacity
+                key={option.code}
+                onPress={() => changeLanguage(option.code)}
+              >
+                <Text style={styles.languageText}>{option.label}</Text>
+              </TouchableOpacity>
+            )
+          )}
+        </View>
+      </View>
+
+      <View style={commonStyles.card}>
+        {session.accounts.accounts.length > 0 && (
+          <AccountSwitcher
+            accounts={session.accounts.accounts}
+            activeId={null}
+            onSwitch={session.switchAccount}
+            onAdd={session.addAccount}
+            onRename={session.renameAccount}
+            onRemove={session.removeAccount}
+          />
+        )}
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.inputLabel}>{t("login.systemId")}</Text>
+          <View style={commonStyles.inputWrapper}>
+            <Ionicons
+              name='person-outline'
+              size={20}
+              color={colors.textMuted}
+              style={commonStyles.inputIcon}
+            />
+            <TextInput
+              style={commonStyles.input}
+              value={systemId}
+              onChangeText={setSystemId}
+              placeholder={t("login.systemIdPlaceholder")}
+              placeholderTextColor={colors.textSubtle}
+              autoCapitalize='none'
+            />
+          </View>
+        </View>
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.inputLabel}>{t("login.password")}</Text>
+          <View style={commonStyles.inputWrapper}>
+            <Ionicons
+              name='lock-closed-outline'
+              size={20}
+              color={colors.textMuted}
+              style={commonStyles.inputIcon}
+            />
+            <TextInput
+              style={commonStyles.input}
+              value={password}
+              onChangeText={setPassword}
+              placeholder={t("login.passwordPlaceholder")}
+              placeholderTextColor={colors.textSubtle}
+              secureTextEntry={secureTextEntry}
+            />
+            <TouchableOpacity
+              onPress={() => setSecureTextEntry(!secureTextEntry)}
+              style={commonStyles.eyeIcon}
+            >
+              <Ionicons
+                name={secureTextEntry ? "eye-outline" : "eye-off-outline"}
+                size={20}
+                color={colors.textMuted}
+              />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[commonStyles.button, commonStyles.primaryButton]}
+          onPress={handleLogin}
+          disabled={loggingIn || linkingGmail}
+        >
+          {loggingIn ? (
+            <ActivityIndicator color={colors.onAccent} />
+          ) : (
+            <View style={commonStyles.buttonContent}>
+              <Ionicons
+                name='log-in-outline'
+                size={20}
+                color={colors.onAccent}
+              />
+              <Text style={commonStyles.buttonText}>{t("login.submit")}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[commonStyles.button, styles.gmailButton]}
+          onPress={handleGmailAuth}
+          disabled={loggingIn || linkingGmail}
+        >
+          {linkingGmail ? (
+            <ActivityIndicator color={colors.onAccent} />
+          ) : (
+            <View style={commonStyles.buttonContent}>
+              <Ionicons name='mail-outline' size={20} color={colors.onAccent} />
+              <Text style={commonStyles.buttonText}>{t("login.gmail")}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={commonStyles.linkButton}
+          onPress={() => navigation.navigate("Register", { systemId })}
+        >
+          <Text style={commonStyles.linkText}>{t("login.createAccount")}</Text>
+        </TouchableOpacity>
+      </View>
+    </ScreenContainer>
+  );
+};
+
+export default LoginScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    headerContainer: {
+      marginTop: 20,
+      marginBottom: 30,
+      alignItems: "center",
+    },
+    headerTitle: {
+      fontSize: 28,
+      fontWeight: "bold",
+      color: colors.onHeader,
+      textAlign: "center",
+    },
+    headerSubtitle: {
+      fontSize: 14,
+      color: colors.onHeaderMuted,
+      marginTop: 8,
+      textAlign: "center",
+    },
+    languages: {
+      flexDirection: "row",
+      marginTop: 10,
+    },
+    languageText: {
+      fontSize: 13,
+      fontWeight: "600",
+      color: colors.onHeader,
+      textDecorationLine: "underline",
+      marginHorizontal: 6,
+    },
+    gmailButton: {
+      backgroundColor: colors.gmailButton,
+      marginTop: 10,
+      width: "100%",
+    },
+  });
@@ -0,0 +1,279 @@
+import React, { useState } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import Stepper from "../components/Stepper";
+import { useAttendance } from "../state/AttendanceContext";
+import { useSettings } from "../state/SettingsContext";
+import { percentageLevel } from "../lib/columnTypes";
+import { describeThreshold } from "../lib/threshold";
+import {
+  EMPTY_PLAN,
+  isPlannable,
+  isEmptyPlan,
+  projectSubject,
+  projectOverall,
+} from "../lib/planner";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { formatNumber, formatPercent } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+const formatPercentage = (value) =>
+  value === null || value === undefined ? "—" : formatPercent(value);
+
+const formatDelta = (delta) => {
+  if (delta === null || Math.abs(delta) < 0.05) return "";
+  const value = formatNumber(delta, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  });
+  return `${delta > 0 ? "+" : ""}${value}`;
+};
+
+// "If I attend the next 6 DBMS lectures and skip 2 OS lectures, where do I
+// end up?" Plans start empty from the current attendance and are not saved.
+const PlannerScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const { normalized } = useAttendance();
+  const { target, colorThresholds } = useSettings();
+  const { t } = useI18n();
+  const [plans, setPlans] = useState({});
+
+  const subjects = normalized.subjects.filter(isPlannable);
+  const overall = projectOverall(subjects, plans);
+  const hasPlans = Object.values(plans).some((plan) => !isEmptyPlan(plan));
+
+  const updatePlan = (id, patch) =>
+    setPlans((prev) => ({
+      ...prev,
+      [id]: { ...(prev[id] || EMPTY_PLAN), ...patch },
+    }));
+
+  const levelStyle = (value) => {
+    const level = percentageLevel(value, colorThresholds);
+    return level && styles[`${level}PercentText`];
+  };
+
+  if (subjects.length === 0) {
+    return (
+      <ScreenContainer>
+        <View style={[commonStyles.card, styles.empty]}>
+          <Ionicons
+            name='calculator-outline'
+            size={48}
+            color={colors.textSubtle}
+          />
+          <Text style={styles.emptyText}>{t("planner.empty")}</Text>
+        </View>
+      </ScreenContainer>
+    );
+  }
+
+  return (
+    <ScreenContainer>
+      <View style={commonStyles.card}>
+        <View style={styles.summary}>
+          <View style={styles.summaryItem}>
+            <Text style={[styles.summaryValue, levelStyle(overall.current)]}>
+              {formatPercentage(overall.current)}
+            </Text>
+            <Text style={styles.summaryLabel}>{t("planner.overallNow")}</Text>
+          </View>
+          <Ionicons name='arrow-forward' size={20} color={colors.textSubtle} />
+          <View style={styles.summaryItem}>
+            <Text style={[styles.summaryValue, levelStyle(overall.projected)]}>
+              {formatPercentage(overall.projected)}
+            </Text>
+            <Text style={styles.summaryLabel}>
+              {t("planner.after", { count: overall.plannedClasses })}
+            </Text>
+          </View>
+        </View>
+        {hasPlans && (
+          <TouchableOpacity
+            style={commonStyles.linkButton}
+            onPress={() => setPlans({})}
+          >
+            <Text style={commonStyles.linkText}>{t("planner.clear")}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {subjects.map((subject) => {
+        const plan = plans[subject.id] || EMPTY_PLAN;
+        const projection = projectSubject(subject, plan, target);
+        const planned = !isEmptyPlan(plan);
+
+        return (
+          <View key={subject.id} style={commonStyles.card}>
+            <TouchableOpacity
+              style={styles.subjectHeader}
+              onPress={() =>
+                navigation.navigate("SubjectDetail", { subjectId: subject.id })
+              }
+            >
+              <Text style={styles.subjectName} numberOfLines={2}>
+                {subject.name || subject.id}
+              </Text>
+              <Ionicons
+                name='chevron-forward'
+                size={18}
+                color={colors.textSubtle}
+              />
+            </TouchableOpacity>
+
+            <View style={styles.projection}>
+              <View>
+                <Text style={styles.projectionLabel}>{t("planner.now")}</Text>
+                <Text
+                  style={[
+                    styles.projectionValue,
+                    levelStyle(subject.percentage),
+                  ]}
+                >
+                  {formatPercentage(subject.percentage)}
+                </Text>
+                <Text style={styles.projectionCounts}>
+                  {subject.attended}/{subject.held}
+                </Text>
+              </View>
+              <View style={styles.projectionRight}>
+                <Text style={styles.projectionLabel}>
+                  {t("planner.projected")}
+                </Text>
+                <Text
+                  style={[
+                    styles.projectionValue,
+                    levelStyle(projection.percentage),
+                  ]}
+                >
+                  {formatPercentage(projection.percentage)}
+                  {planned && (
+                    <Text style={styles.projectionDelta}>
+                      {" "}
+                      {formatDelta(projection.delta)}
+                    </Text>
+                  )}
+                </Text>
+                <Text style={styles.projectionCounts}>
+                  {projection.attended}/{projection.held} ·{" "}
+                  {describeThreshold(projection.threshold)}
+                </Text>
+              </View>
+            </View>
+
+            <View style={styles.steppers}>
+              <Stepper
+                label={t("planner.attend")}
+                max={99}
+                value={plan.attend}
+                onChange={(attend) => updatePlan(subject.id, { attend })}
+              />
+              <Stepper
+                label={t("planner.miss")}
+                max={99}
+                value={plan.miss}
+                onChange={(miss) => updatePlan(subject.id, { miss })}
+              />
+            </View>
+          </View>
+        );
+      })}
+    </ScreenContainer>
+  );
+};
+
+export default PlannerScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    empty: {
+      alignItems: "center",
+      padding: 40,
+    },
+    emptyText: {
+      marginTop: 12,
+      fontSize: 15,
+      color: colors.textMuted,
+      textAlign: "center",
+    },
+    summary: {
+      flexDirection: "row",
+      justifyContent: "space-around",
+      alignItems: "center",
+    },
+    summaryItem: {
+      alignItems: "center",
+    },
+    summaryValue: {
+      fontSize: 24,
+      fontWeight: "700",
+      color: colors.textStrong,
+      fontVariant: ["tabular-nums"],
+    },
+    summaryLabel: {
+      marginTop: 4,
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    subjectHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 12,
+    },
+    subjectName: {
+      flex: 1,
+      fontSize: 16,
+      fontWeight: "600",
+      color: colors.text,
+    },
+    projection: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      marginBottom: 12,
+    },
+    projectionRight: {
+      alignItems: "flex-end",
+    },
+    projectionLabel: {
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    projectionValue: {
+      fontSize: 20,
+      fontWeight: "700",
+      color: colors.textStrong,
+      fontVariant: ["tabular-nums"],
+    },
+    projectionDelta: {
+      fontSize: 13,
+      fontWeight: "600",
+      color: colors.textMuted,
+    },
+    projectionCounts: {
+      fontSize: 12,
+      color: colors.textMuted,
+      fontVariant: ["tabular-nums"],
+    },
+    steppers: {
+      flexDirection: "row",
+      justifyContent: "space-around",
+      borderTopWidth: 1,
+      borderTopColor: colors.border,
+      paddingTop: 12,
+    },
+    dangerPercentText: {
+      color: colors.percent.danger,
+    },
+    warningPercentText: {
+      color: colors.percent.warning,
+    },
+    safePercentText: {
+      color: colors.percent.safe,
+    },
+  });
@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import { useSession } from "../state/SessionContext";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { useI18n } from "../i18n/useI18n";
+
+// After registering, the login form opens with the new system ID filled in
+const RegisterScreen = ({ navigation, route }) => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const session = useSession();
+  const { t } = useI18n();
+  const [systemId, setSystemId] = useState(route.params?.systemId || "");
+  const [password, setPassword] = useState("");
+  const [secureTextEntry, setSecureTextEntry] = useState(true);
+  const [loading, setLoading] = useState(false);
+
+  const handleRegister = async () => {
+    setLoading(true);
+    try {
+      if (await session.register(systemId, password)) navigation.goBack();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScreenContainer>
+      <View style={commonStyles.card}>
+        <Text style={styles.intro}>{t("register.intro")}</Text>
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.inputLabel}>{t("login.systemId")}</Text>
+          <View style={commonStyles.inputWrapper}>
+            <Ionicons
+              name='person-outline'
+              size={20}
+              color={colors.textMuted}
+              style={commonStyles.inputIcon}
+            />
+            <TextInput
+              style={commonStyles.input}
+              value={systemId}
+              onChangeText={setSystemId}
+              placeholder={t("login.systemIdPlaceholder")}
+              placeholderTextColor={colors.textSubtle}
+              autoCapitalize='none'
+            />
+          </View>
+        </View>
+
+        <View style={commonStyles.inputContainer}>
+          <Text style={commonStyles.inputLabel}>{t("login.password")}</Text>
+          <View style={commonStyles.inputWrapper}>
+            <Ionicons
+              name='lock-closed-outline'
+              size={20}
+              color={colors.textMuted}
+              style={commonStyles.inputIcon}
+            />
+            <TextInput
+              style={commonStyles.input}
+              value={password}
+              onChangeText={setPassword}
+              placeholder={t("login.passwordPlaceholder")}
+              placeholderTextColor={colors.textSubtle}
+              secureTextEntry={secureTextEntry}
+            />
+            <TouchableOpacity
+              onPress={() => setSecureTextEntry(!secureTextEntry)}
+              style={commonStyles.eyeIcon}
+            >
+              <Ionicons
+                name={secureTextEntry ? "eye-outline" : "eye-off-outline"}
+                size={20}
+                color={colors.textMuted}
+              />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[commonStyles.button, styles.registerButton]}
+          onPress={handleRegister}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color={colors.onAccent} />
+          ) : (
+            <View style={commonStyles.buttonContent}>
+              <Ionicons
+                name='person-add-outline'
+                size={20}
+                color={colors.onAccent}
+              />
+              <Text style={commonStyles.buttonText}>
+                {t("register.submit")}
+              </Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScreenContainer>
+  );
+};
+
+export default RegisterScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    intro: {
+      fontSize: 14,
+      color: colors.textMuted,
+      marginBottom: 20,
+    },
+    registerButton: {
+      backgroundColor: colors.secondaryButton,
+      width: "100%",
+    },
+  });
@@ -0,0 +1,137 @@
+import React from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { SegmentedButtons, useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import AccountSwitcher from "../components/AccountSwitcher";
+import NotificationSettings from "../components/NotificationSettings";
+import Stepper, { formatPercentValue } from "../components/Stepper";
+import { useSession } from "../state/SessionContext";
+import { useSettings, TARGET_STEP } from "../state/SettingsContext";
+import { useCommonStyles } from "../styles/common";
+import { THEME_MODES } from "../theme/themes";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { LANGUAGES } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+const THEME_ICONS = {
+  system: "theme-light-dark",
+  light: "white-balance-sunny",
+  dark: "weather-night",
+};
+
+const SettingsScreen = () => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const session = useSession();
+  const settings = useSettings();
+  const { t } = useI18n();
+
+  return (
+    <ScreenContainer>
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("settings.accounts")}</Text>
+        <AccountSwitcher
+          accounts={session.accounts.accounts}
+          activeId={session.systemId}
+          onSwitch={session.switchAccount}
+          onAdd={session.addAccount}
+          onRename={session.renameAccount}
+          onRemove={session.removeAccount}
+        />
+        <TouchableOpacity style={styles.logoutButton} onPress={session.logout}>
+          <Ionicons
+            name='log-out-outline'
+            size={18}
+            color={colors.destructive}
+          />
+          <Text style={styles.logoutText}>
+            {t("settings.logOutOf", { systemId: session.systemId })}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("settings.appearance")}</Text>
+        <SegmentedButtons
+          value={settings.themeMode}
+          onValueChange={settings.setThemeMode}
+          buttons={THEME_MODES.map((mode) => ({
+            value: mode,
+            label: t(`settings.themes.${mode}`),
+            icon: THEME_ICONS[mode],
+          }))}
+        />
+      </View>
+
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("settings.language")}</Text>
+        <SegmentedButtons
+          value={settings.language}
+          onValueChange={settings.changeLanguage}
+          buttons={LANGUAGES.map((language) => ({
+            value: language.code,
+            label: language.label,
+          }))}
+        />
+      </View>
+
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("settings.attendance")}</Text>
+        <View style={commonStyles.row}>
+          <Text style={commonStyles.rowLabel}>
+            {t("settings.requiredAttendance")}
+          </Text>
+          <Stepper
+            value={settings.target}
+            step={TARGET_STEP}
+            min={TARGET_STEP}
+            format={formatPercentValue}
+            onChange={settings.setTarget}
+          />
+        </View>
+        <View style={commonStyles.row}>
+          <Text style={styles.colorBandLabel}>{t("settings.redBelow")}</Text>
+          <Stepper
+            value={settings.colorThresholds.danger}
+            step={TARGET_STEP}
+            format={formatPercentValue}
+            onChange={(value) => settings.setColorThreshold("danger", value)}
+          />
+        </View>
+        <View style={commonStyles.row}>
+          <Text style={styles.colorBandLabel}>{t("settings.greenFrom")}</Text>
+          <Stepper
+            value={settings.colorThresholds.safe}
+            step={TARGET_STEP}
+            format={formatPercentValue}
+            onChange={(value) => settings.setColorThreshold("safe", value)}
+          />
+        </View>
+        <NotificationSettings />
+      </View>
+    </ScreenContainer>
+  );
+};
+
+export default SettingsScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    colorBandLabel: {
+      fontSize: 14,
+      color: colors.textMuted,
+    },
+    logoutButton: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingVertical: 8,
+    },
+    logoutText: {
+      marginLeft: 8,
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.destructive,
+    },
+  });
@@ -0,0 +1,329 @@
+import React, { useLayoutEffect, useMemo, useState } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import Stepper, { formatPercentValue } from "../components/Stepper";
+import TrendChart from "../components/TrendChart";
+import LectureHeatmap from "../components/LectureHeatmap";
+import { useAttendance } from "../state/AttendanceContext";
+import { useSettings, TARGET_STEP } from "../state/SettingsContext";
+import { formatValue, isBlank, percentageLevel } from "../lib/columnTypes";
+import { fieldLabel } from "../lib/subjects";
+import {
+  calculateThreshold,
+  describeThreshold,
+  explainThreshold,
+} from "../lib/threshold";
+import { subjectHistory } from "../lib/trends";
+import { formatTimestamp } from "../storage/attendanceCache";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { formatPercent } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+// How many past fetches are listed under the chart
+const HISTORY_ROWS = 10;
+
+const formatPercentage = (value) =>
+  value === null || value === undefined ? "—" : formatPercent(value);
+
+const StatTile = ({ label, value, style }) => {
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.statTile}>
+      <Text style={[styles.statValue, style]}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+};
+
+// One subject, opened from the dashboard table or a
+// myattendanceapp://subject/<id> link: its numbers, the threshold
+// calculation, its history across stored fetches, a calendar of lectures
+// when the backend sends them and every field in full.
+const SubjectDetailScreen = ({ navigation, route }) => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const { normalized, subjectRows, columnTypes, history } = useAttendance();
+  const { target, colorThresholds, setTarget } = useSettings();
+  const { t } = useI18n();
+  const [chartWidth, setChartWidth] = useState(0);
+
+  const subjectId = route.params?.subjectId;
+  const subject = normalized.subjects.find((item) => item.id === subjectId);
+  const row = subjectRows.find((item) => item.id === subjectId);
+
+  const points = useMemo(
+    () => subjectHistory(history, subjectId),
+    [history, subjectId]
+  );
+
+  useLayoutEffect(() => {
+    if (subject) navigation.setOptions({ title: subject.name || subject.id });
+  }, [navigation, subject]);
+
+  if (!subject) {
+    return (
+      <ScreenContainer>
+        <View style={[commonStyles.card, styles.missing]}>
+          <Ionicons
+            name='help-circle-outline'
+            size={48}
+            color={colors.textSubtle}
+          />
+          <Text style={styles.missingText}>{t("subject.missing")}</Text>
+        </View>
+      </ScreenContainer>
+    );
+  }
+
+  const threshold = calculateThreshold(subject, target);
+  const level = percentageLevel(subject.percentage, colorThresholds);
+  const missed =
+    subject.held !== null && subject.attended !== null
+      ? subject.held - subject.attended
+      : null;
+
+  // Newest first, keeping only fetches where the numbers moved
+  const changes = points
+    .filter(
+      (point, index) =>
+        index === 0 ||
+        point.held !== points[index - 1].held ||
+        point.attended !== points[index - 1].attended ||
+        point.percentage !== points[index - 1].percentage
+    )
+    .reverse()
+    .slice(0, HISTORY_ROWS);
+
+  // Everything the backend sent, including values cut off in the table
+  const fields = Object.keys(row).filter(
+    (key) => key !== "id" && !isBlank(row[key])
+  );
+
+  return (
+    <ScreenContainer>
+      <View style={commonStyles.card}>
+        <View style={styles.stats}>
+          <StatTile label={t("fields.held")} value={subject.held ?? "—"} />
+          <StatTile
+            label={t("fields.attended")}
+            value={subject.attended ?? "—"}
+          />
+          <StatTile label={t("subject.missed")} value={missed ?? "—"} />
+          <StatTile
+            label={t("subject.attendance")}
+            value={formatPercentage(subject.percentage)}
+            style={level && styles[`${level}PercentText`]}
+          />
+        </View>
+      </View>
+
+      <View style={commonStyles.card}>
+        <View style={commonStyles.row}>
+          <Text style={commonStyles.rowLabel}>
+            {t("settings.requiredAttendance")}
+          </Text>
+          <Stepper
+            value={target}
+            step={TARGET_STEP}
+            min={TARGET_STEP}
+            format={formatPercentValue}
+            onChange={setTarget}
+          />
+        </View>
+        <View
+          style={[styles.thresholdBadge, styles[`${threshold.status}Badge`]]}
+        >
+          <Text
+            style={[styles.thresholdText, styles[`${threshold.status}Text`]]}
+          >
+            {describeThreshold(threshold)}
+          </Text>
+        </View>
+        <Text style={styles.explanation}>
+          {explainThreshold(threshold, target)}
+        </Text>
+      </View>
+
+      <View
+        style={commonStyles.card}
+        onLayout={(event) =>
+          // The card's horizontal padding is 20 on each side
+          setChartWidth(event.nativeEvent.layout.width - 40)
+        }
+      >
+        <Text style={commonStyles.cardTitle}>
+          {t("dashboard.views.history")}
+        </Text>
+        {points.length === 0 ? (
+          <Text style={styles.emptyText}>{t("history.empty")}</Text>
+        ) : (
+          <>
+            {chartWidth > 0 && (
+              <TrendChart
+                points={points
+                  .filter((point) => point.percentage !== null)
+                  .map((point) => ({
+                    fetchedAt: point.fetchedAt,
+                    value: point.percentage,
+                  }))}
+                target={target}
+                width={chartWidth}
+              />
+            )}
+            {changes.map((point) => (
+              <View key={point.fetchedAt} style={styles.historyRow}>
+                <Text style={styles.historyDate}>
+                  {formatTimestamp(point.fetchedAt)}
+                </Text>
+                <Text style={styles.historyValue}>
+                  {point.held !== null
+                    ? `${point.attended}/${point.held} · `
+                    : ""}
+                  {formatPercentage(point.percentage)}
+                </Text>
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+
+      {subject.lectures.length > 0 && (
+        <View style={commonStyles.card}>
+          <Text style={commonStyles.cardTitle}>{t("subject.lectures")}</Text>
+          <LectureHeatmap lectures={subject.lectures} />
+        </View>
+      )}
+
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("subject.allDetails")}</Text>
+        {fields.map((key) => (
+          <View key={key} style={styles.fieldRow}>
+            <Text style={styles.fieldLabel}>{fieldLabel(key)}</Text>
+            <Text style={styles.fieldValue} selectable>
+              {formatValue(row[key], columnTypes[key])}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </ScreenContainer>
+  );
+};
+
+export default SubjectDetailScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    missing: {
+      alignItems: "center",
+      padding: 40,
+    },
+    missingText: {
+      marginTop: 12,
+      fontSize: 16,
+      color: colors.textMuted,
+      textAlign: "center",
+    },
+    stats: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+    },
+    statTile: {
+      flex: 1,
+      alignItems: "center",
+    },
+    statValue: {
+      fontSize: 22,
+      fontWeight: "700",
+      color: colors.textStrong,
+      fontVariant: ["tabular-nums"],
+    },
+    statLabel: {
+      marginTop: 4,
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    dangerPercentText: {
+      color: colors.percent.danger,
+    },
+    warningPercentText: {
+      color: colors.percent.warning,
+    },
+    safePercentText: {
+      color: colors.percent.safe,
+    },
+    thresholdBadge: {
+      borderRadius: 8,
+      padding: 12,
+      marginBottom: 12,
+      backgroundColor: colors.subtleBackground,
+    },
+    thresholdText: {
+      fontSize: 16,
+      fontWeight: "700",
+      color: colors.textMuted,
+    },
+    safeBadge: {
+      backgroundColor: colors.badge.safe.background,
+    },
+    safeText: {
+      color: colors.badge.safe.text,
+    },
+    edgeBadge: {
+      backgroundColor: colors.badge.edge.background,
+    },
+    edgeText: {
+      color: colors.badge.edge.text,
+    },
+    belowBadge: {
+      backgroundColor: colors.badge.below.background,
+    },
+    belowText: {
+      color: colors.badge.below.text,
+    },
+    explanation: {
+      fontSize: 14,
+      lineHeight: 20,
+      color: colors.text,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+    },
+    historyRow: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    historyDate: {
+      fontSize: 13,
+      color: colors.textMuted,
+    },
+    historyValue: {
+      fontSize: 13,
+      fontWeight: "600",
+      color: colors.text,
+      fontVariant: ["tabular-nums"],
+    },
+    fieldRow: {
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    fieldLabel: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginBottom: 2,
+    },
+    fieldValue: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+    },
+  });
@@ -0,0 +1,367 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "react-native-paper";
+import ScreenContainer from "../components/ScreenContainer";
+import Chip from "../components/Chip";
+import { useAttendance } from "../state/AttendanceContext";
+import { useTimetable } from "../state/TimetableContext";
+import { useFeedback } from "../state/FeedbackContext";
+import { parseIcsEvents } from "../lib/ics";
+import {
+  WEEKDAYS,
+  weekdayLabel,
+  parseTime,
+  eventsToSlots,
+} from "../lib/timetable";
+import { parseDate } from "../lib/columnTypes";
+import { toDateKey } from "../lib/lectures";
+import { pickIcsFile } from "../import/pickIcsFile";
+import { useCommonStyles } from "../styles/common";
+import { useThemedStyles } from "../theme/useThemedStyles";
+import { formatList } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+// Timetable edits and imports replace each other's notifications
+const FEEDBACK = { key: "timetable" };
+
+// A date field that is saved when editing ends. Empty clears the date.
+const DateField = ({ label, value, onSave }) => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const { showError } = useFeedback();
+  const { t } = useI18n();
+  const [text, setText] = useState(value || "");
+
+  useEffect(() => {
+    setText(value || "");
+  }, [value]);
+
+  const save = () => {
+    if (!text.trim()) {
+      onSave(null);
+      return;
+    }
+    const date = parseDate(text);
+    if (!date) {
+      showError(t("timetable.invalidDate", { label }), FEEDBACK);
+      setText(value || "");
+      return;
+    }
+    onSave(toDateKey(date));
+  };
+
+  return (
+    <View style={commonStyles.inputContainer}>
+      <Text style={commonStyles.inputLabel}>{label}</Text>
+      <View style={commonStyles.inputWrapper}>
+        <Ionicons
+          name='calendar-outline'
+          size={20}
+          color={colors.textMuted}
+          style={commonStyles.inputIcon}
+        />
+        <TextInput
+          style={commonStyles.input}
+          value={text}
+          onChangeText={setText}
+          onEndEditing={save}
+          placeholder='YYYY-MM-DD'
+          placeholderTextColor={colors.textSubtle}
+        />
+      </View>
+    </View>
+  );
+};
+
+// The weekly timetable behind the forecast, typed in slot by slot or
+// imported from a calendar (.ics) export, plus the semester dates.
+const TimetableScreen = () => {
+  const { colors } = useTheme();
+  const commonStyles = useCommonStyles();
+  const styles = useThemedStyles(createStyles);
+  const { normalized } = useAttendance();
+  const timetable = useTimetable();
+  const { showMessage, showError, dismiss } = useFeedback();
+  const { t } = useI18n();
+  const [subjectId, setSubjectId] = useState(null);
+  const [weekday, setWeekday] = useState(0);
+  const [startText, setStartText] = useState("");
+  const [unmatched, setUnmatched] = useState([]);
+  const [importing, setImporting] = useState(false);
+
+  const subjects = normalized.subjects;
+  const subjectName = (id) => {
+    const subject = subjects.find((item) => item.id === id);
+    return subject ? subject.name || subject.id : id;
+  };
+
+  const handleAdd = () => {
+    const start = parseTime(startText);
+    if (!subjectId) {
+      showError(t("timetable.chooseSubject"), FEEDBACK);
+      return;
+    }
+    if (!start) {
+      showError(t("timetable.invalidTime"), FEEDBACK);
+      return;
+    }
+    dismiss(FEEDBACK.key);
+    timetable.addSlot(subjectId, weekday, start);
+    setStartText("");
+  };
+
+  const handleImport = async () => {
+    dismiss(FEEDBACK.key);
+    setImporting(true);
+    try {
+      const text = await pickIcsFile();
+      if (text === null) return;
+
+      const events = parseIcsEvents(text);
+      if (events.length === 0) {
+        showError(t("timetable.noEvents"), FEEDBACK);
+        return;
+      }
+      const { slots, unmatched: titles } = eventsToSlots(events, subjects);
+      timetable.addSlots(slots);
+      setUnmatched(titles);
+      showMessage(t("timetable.imported", { count: slots.length }), FEEDBACK);
+    } catch (err) {
+      console.error("Timetable import error:", err);
+      showError(t("timetable.importFailed"), {
+        ...FEEDBACK,
+        action: { label: t("common.retry"), onPress: handleImport },
+      });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const confirmClear = () =>
+    Alert.alert(t("timetable.clear"), t("timetable.clearPrompt"), [
+      { text: t("common.cancel"), style: "cancel" },
+      {
+        text: t("timetable.clearConfirm"),
+        style: "destructive",
+        onPress: timetable.clearSlots,
+      },
+    ]);
+
+  return (
+    <ScreenContainer>
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("timetable.semester")}</Text>
+        <DateField
+          label={t("timetable.semesterEnds")}
+          value={timetable.semesterEnd}
+          onSave={timetable.setSemesterEnd}
+        />
+        <DateField
+          label={t("timetable.examCutoff")}
+          value={timetable.examCutoff}
+          onSave={timetable.setExamCutoff}
+        />
+      </View>
+
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("timetable.addClass")}</Text>
+        {subjects.length === 0 ? (
+          <Text style={styles.emptyText}>{t("timetable.noSubjects")}</Text>
+        ) : (
+          <>
+            <Text style={commonStyles.inputLabel}>{t("fields.name")}</Text>
+            <View style={styles.chips}>
+              {subjects.map((subject) => (
+                <Chip
+                  key={subject.id}
+                  label={subject.name || subject.id}
+                  selected={subjectId === subject.id}
+                  onPress={() => setSubjectId(subject.id)}
+                />
+              ))}
+            </View>
+
+            <Text style={commonStyles.inputLabel}>{t("timetable.day")}</Text>
+            <View style={styles.chips}>
+              {WEEKDAYS.map((day) => (
+                <Chip
+                  key={day}
+                  label={weekdayLabel(day, "short")}
+                  selected={weekday === day}
+                  onPress={() => setWeekday(day)}
+                />
+              ))}
+            </View>
+
+            <Text style={commonStyles.inputLabel}>
+              {t("timetable.startsAt")}
+            </Text>
+            <View style={styles.addRow}>
+              <View style={[commonStyles.inputWrapper, styles.timeInput]}>
+                <Ionicons
+                  name='time-outline'
+                  size={20}
+                  color={colors.textMuted}
+                  style={commonStyles.inputIcon}
+                />
+                <TextInput
+                  style={commonStyles.input}
+                  value={startText}
+                  onChangeText={setStartText}
+                  placeholder='HH:MM'
+                  placeholderTextColor={colors.textSubtle}
+                  keyboardType='numbers-and-punctuation'
+                  onSubmitEditing={handleAdd}
+                />
+              </View>
+              <TouchableOpacity
+                style={[commonStyles.button, styles.addButton]}
+                onPress={handleAdd}
+              >
+                <Ionicons name='add' size={22} color={colors.onAccent} />
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+
+        <TouchableOpacity
+          style={commonStyles.linkButton}
+          onPress={handleImport}
+          disabled={importing}
+        >
+          <Text style={commonStyles.linkText}>
+            {importing ? t("timetable.importing") : t("timetable.import")}
+          </Text>
+        </TouchableOpacity>
+        {unmatched.length > 0 && (
+          <Text style={styles.unmatchedText}>
+            {t("timetable.unmatched", { titles: formatList(unmatched) })}
+          </Text>
+        )}
+      </View>
+
+      <View style={commonStyles.card}>
+        <Text style={commonStyles.cardTitle}>{t("timetable.weekly")}</Text>
+        {timetable.slots.length === 0 ? (
+          <Text style={styles.emptyText}>{t("timetable.empty")}</Text>
+        ) : (
+          <>
+            {WEEKDAYS.map((day) => {
+              const slots = timetable.slots.filter(
+                (slot) => slot.weekday === day
+              );
+              if (slots.length === 0) return null;
+              const label = weekdayLabel(day);
+              return (
+                <View key={day} style={styles.day}>
+                  <Text style={styles.dayTitle}>{label}</Text>
+                  {slots.map((slot) => (
+                    <View key={slot.id} style={styles.slotRow}>
+                      <Text style={styles.slotTime}>{slot.start}</Text>
+                      <Text style={styles.slotName} numberOfLines={1}>
+                        {subjectName(slot.subjectId)}
+                      </Text>
+                      <TouchableOpacity
+                        onPress={() => timetable.removeSlot(slot.id)}
+                        accessibilityLabel={t("timetable.removeSlot", {
+                          name: subjectName(slot.subjectId),
+                          day: label,
+                          time: slot.start,
+                        })}
+                      >
+                        <Ionicons
+                          name='trash-outline'
+                          size={18}
+                          color={colors.textSubtle}
+                        />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              );
+            })}
+            <TouchableOpacity
+              style={commonStyles.linkButton}
+              onPress={confirmClear}
+            >
+              <Text style={[commonStyles.linkText, styles.clearText]}>
+                {t("timetable.clear")}
+              </Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    </ScreenContainer>
+  );
+};
+
+export default TimetableScreen;
+
+const createStyles = ({ colors }) =>
+  StyleSheet.create({
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+    },
+    chips: {
+      flexDirection: "row",
+      flexWrap: "wrap",
+      marginBottom: 12,
+    },
+    addRow: {
+      flexDirection: "row",
+      alignItems: "center",
+    },
+    timeInput: {
+      flex: 1,
+      marginRight: 12,
+    },
+    addButton: {
+      width: 50,
+      backgroundColor: colors.accentBright,
+    },
+    unmatchedText: {
+      fontSize: 13,
+      color: colors.caution,
+    },
+    day: {
+      marginBottom: 12,
+    },
+    dayTitle: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+      marginBottom: 4,
+    },
+    slotRow: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    slotTime: {
+      width: 56,
+      fontSize: 14,
+      color: colors.textMuted,
+      fontVariant: ["tabular-nums"],
+    },
+    slotName: {
+      flex: 1,
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+      marginRight: 8,
+    },
+    clearText: {
+      color: colors.percent.danger,
+    },
+  });
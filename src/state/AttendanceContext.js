@@ -0,0 +1,248 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+} from "react";
+import { Alert } from "react-native";
+import { getErrorMessage } from "../api/client";
+import { getAttendance } from "../api/endpoints";
+import { isTokenExpiringSoon } from "../auth/jwt";
+import { loadCachedAttendance } from "../storage/attendanceCache";
+import { loadHistory } from "../storage/attendanceHistory";
+import { persistFetch } from "../background/refreshAttendance";
+import {
+  diffAttendance,
+  hasChanges,
+  summarizeDiff,
+} from "../lib/attendanceDiff";
+import {
+  normalizeAttendance,
+  subjectToRow,
+  tableHeadersFor,
+} from "../lib/subjects";
+import { detectColumnTypes } from "../lib/columnTypes";
+import { useSession } from "./SessionContext";
+import { useFeedback } from "./FeedbackContext";
+import { t } from "../i18n";
+import { useI18n } from "../i18n/useI18n";
+
+// Attendance of the active account: the raw rows as last fetched (or read
+// from the cache), their history and which cells the last fetch changed.
+// Screens read the normalized `subjectRows`, never the raw rows.
+
+const initialState = {
+  attendance: null,
+  lastUpdated: null,
+  isStale: false,
+  history: [],
+  changedCells: {},
+  fetching: false,
+};
+
+const attendanceReducer = (state, action) => {
+  switch (action.type) {
+    case "reset":
+      return initialState;
+    // Cached rows are shown as stale until a fetch succeeds
+    case "restored":
+      return {
+        ...state,
+        history: action.history,
+        ...(action.cached && {
+          attendance: action.cached.attendance,
+          lastUpdated: action.cached.fetchedAt,
+          isStale: true,
+        }),
+      };
+    case "fetchStarted":
+      return { ...state, fetching: true };
+    case "fetchFinished":
+      return { ...state, fetching: false };
+    case "fetched":
+      return {
+        ...state,
+        attendance: action.attendance,
+        lastUpdated: action.fetchedAt,
+        isStale: false,
+        history: action.history,
+        changedCells: action.changedCells,
+      };
+    default:
+      return state;
+  }
+};
+
+// Resolves to true if the user chose to log in again rather than carry on
+// with a session that is about to expire
+const confirmReauthenticate = () =>
+  new Promise((resolve) =>
+    Alert.alert(
+      t("session.expiringTitle"),
+      t("attendance.expiringPrompt"),
+      [
+        {
+          text: t("common.continue"),
+          style: "cancel",
+          onPress: () => resolve(false),
+        },
+        { text: t("session.logInAgain"), onPress: () => resolve(true) },
+      ],
+      { onDismiss: () => resolve(false) }
+    )
+  );
+
+// Each fetch replaces the outcome of the one before in the notification queue
+const FEEDBACK = { key: "attendance" };
+
+const AttendanceContext = createContext(null);
+
+export const AttendanceProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(attendanceReducer, initialState);
+  const session = useSession();
+  const { showMessage, showError, dismiss } = useFeedback();
+
+  // Lets in-flight fetches notice the account was switched under them
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  const actions = useMemo(() => {
+    const isCurrent = (id) => sessionRef.current.systemId === id;
+
+    const restoreCachedAttendance = async (id) => {
+      const history = await loadHistory(id);
+      const cached = await loadCachedAttendance(id);
+      if (isCurrent(id)) dispatch({ type: "restored", history, cached });
+    };
+
+    // token/id default to the active session. `automatic` fetches run
+    // without the user asking, so they never open the re-login prompt; the
+    // session expiry banner covers those.
+    const fetchAttendance = async ({
+      token = sessionRef.current.token,
+      id = sessionRef.current.systemId,
+      automatic = false,
+    } = {}) => {
+      dismiss(FEEDBACK.key);
+      if (!token) {
+        showError(t("attendance.signInFirst"), FEEDBACK);
+        return;
+      }
+      if (
+        !automatic &&
+        isTokenExpiringSoon(token) &&
+        (await confirmReauthenticate())
+      ) {
+        await sessionRef.current.reauthenticate();
+        return;
+      }
+
+      dispatch({ type: "fetchStarted" });
+      try {
+        // Only replace what is on screen once the new data has arrived
+        const records = await getAttendance(token);
+        const { previous, entry, history } = await persistFetch(id, records);
+        if (!isCurrent(id)) return;
+
+        const diff = previous
+          ? diffAttendance(previous.attendance, records)
+          : null;
+        dispatch({
+          type: "fetched",
+          attendance: records,
+          fetchedAt: entry.fetchedAt,
+          history,
+          changedCells: diff ? diff.changedCells : {},
+        });
+
+        if (diff && (hasChanges(diff) || records.length > 0)) {
+          showMessage(summarizeDiff(diff), FEEDBACK);
+        } else if (records.length > 0) {
+          showMessage(t("attendance.fetched"), FEEDBACK);
+        } else {
+          showMessage(t("attendance.noRecords"), FEEDBACK);
+        }
+      } catch (err) {
+        console.error(err);
+
+        // Expired sessions are handled by the API client's 401 handler
+        if (!err.sessionExpired) {
+          showError(getErrorMessage(err, t("attendance.fetchFailed")), {
+            ...FEEDBACK,
+            action: {
+              label: t("common.retry"),
+              onPress: () => fetchAttendance({ token, id }),
+            },
+          });
+        }
+      } finally {
+        dispatch({ type: "fetchFinished" });
+      }
+    };
+
+    return { restoreCachedAttendance, fetchAttendance };
+  }, []);
+
+  // Whenever an account signs in or becomes active: show its last saved
+  // table right away, then refresh behind it
+  const { token, systemId } = session;
+  useEffect(() => {
+    dispatch({ type: "reset" });
+    if (!token || !systemId) return;
+
+    const load = async () => {
+      await actions.restoreCachedAttendance(systemId);
+      if (sessionRef.current.token === token) {
+        actions.fetchAttendance({ token, id: systemId, automatic: true });
+      }
+    };
+    load();
+  }, [token, systemId, actions]);
+
+  // Row problems are reported in the current language
+  const { language } = useI18n();
+  const normalized = useMemo(
+    () => normalizeAttendance(state.attendance || []),
+    [state.attendance, language]
+  );
+  const subjectRows = useMemo(
+    () => normalized.subjects.map(subjectToRow),
+    [normalized]
+  );
+  const tableHeaders = useMemo(
+    () => tableHeadersFor(subjectRows),
+    [subjectRows]
+  );
+  const columnTypes = useMemo(
+    () => detectColumnTypes(tableHeaders, subjectRows),
+    [tableHeaders, subjectRows]
+  );
+
+  const value = useMemo(
+    () => ({
+      ...state,
+      ...actions,
+      normalized,
+      subjectRows,
+      tableHeaders,
+      columnTypes,
+    }),
+    [state, actions, normalized, subjectRows, tableHeaders, columnTypes]
+  );
+
+  return (
+    <AttendanceContext.Provider value={value}>
+      {children}
+    </AttendanceContext.Provider>
+  );
+};
+
+export const useAttendance = () => {
+  const context = useContext(AttendanceContext);
+  if (!context) {
+    throw new Error("useAttendance must be used inside an AttendanceProvider");
+  }
+  return context;
+};
@@ -0,0 +1,128 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+
+// Queue of snackbar notifications shown over every screen. Each one has a
+// severity, dismisses itself after a while unless it has no duration, and
+// can carry one action such as "Retry".
+//
+// Notifications given the same `key` replace each other, so a flow such as
+// fetching attendance only ever shows its latest outcome. Without a key an
+// identical message replaces the one already shown.
+
+export const SEVERITIES = ["success", "info", "warning", "error"];
+
+// Milliseconds before a notification goes away; errors stay longest
+const DURATIONS = {
+  success: 4000,
+  info: 4000,
+  warning: 6000,
+  error: 8000,
+};
+const ACTION_DURATION = 10000;
+
+// Older notifications are dropped when more than this pile up
+const MAX_NOTIFICATIONS = 4;
+
+const FeedbackContext = createContext(null);
+
+export const FeedbackProvider = ({ children }) => {
+  const [notifications, setNotifications] = useState([]);
+  const timers = useRef(new Map());
+
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach((timer) => clearTimeout(timer));
+  }, []);
+
+  const actions = useMemo(() => {
+    const clearTimer = (id) => {
+      clearTimeout(timers.current.get(id));
+      timers.current.delete(id);
+    };
+
+    const dismiss = (id) => {
+      clearTimer(id);
+      setNotifications((prev) => prev.filter((item) => item.id !== id));
+    };
+
+    // Returns the id, which dismiss() accepts
+    const notify = ({
+      severity = "info",
+      message,
+      action = null,
+      duration,
+      key,
+    }) => {
+      if (!message) return null;
+      const id = key || `${severity}:${message}`;
+      const notification = { id, severity, message, action };
+
+      clearTimer(id);
+      const timeout =
+        duration !== undefined
+          ? duration
+          : action
+          ? ACTION_DURATION
+          : DURATIONS[severity];
+      if (timeout) {
+        timers.current.set(
+          id,
+          setTimeout(() => dismiss(id), timeout)
+        );
+      }
+
+      setNotifications((prev) => {
+        const next = [...prev.filter((item) => item.id !== id), notification];
+        next
+          .slice(0, Math.max(next.length - MAX_NOTIFICATIONS, 0))
+          .forEach((item) => clearTimer(item.id));
+        return next.slice(-MAX_NOTIFICATIONS);
+      });
+      return id;
+    };
+
+    const withSeverity =
+      (severity) =>
+      (message, options = {}) =>
+        notify({ ...options, severity, message });
+
+    return {
+      notify,
+      dismiss,
+      showMessage: withSeverity("success"),
+      showInfo: withSeverity("info"),
+      showWarning: withSeverity("warning"),
+      showError: withSeverity("error"),
+      dismissAll: () => {
+        timers.current.forEach((timer) => clearTimeout(timer));
+        timers.current.clear();
+        setNotifications([]);
+      },
+    };
+  }, []);
+
+  const value = useMemo(
+    () => ({ notifications, ...actions }),
+    [notifications, actions]
+  );
+
+  return (
+    <FeedbackContext.Provider value={value}>
+      {children}
+    </FeedbackContext.Provider>
+  );
+};
+
+export const useFeedback = () => {
+  const context = useContext(FeedbackContext);
+  if (!context) {
+    throw new Error("useFeedback must be used inside a FeedbackProvider");
+  }
+  return context;
+};
@@ -0,0 +1,327 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import { Linking } from "react-native";
+import {
+  setAuthToken,
+  setUnauthorizedHandler,
+  getErrorMessage,
+} from "../api/client";
+import { register, login } from "../api/endpoints";
+import { startGmailAuth, handleGmailDeepLink } from "../auth/gmailAuth";
+import { isTokenExpired } from "../auth/jwt";
+import { sessionReducer, initialSessionState } from "../auth/sessionMachine";
+import { createSerialQueue } from "../lib/serialQueue";
+import {
+  loadSession,
+  loadAccounts,
+  saveAccount,
+  setActiveAccount,
+  renameAccount,
+  removeAccount,
+  getAccountToken,
+  signOutAccount,
+  clearToken,
+} from "../storage/secureSession";
+import { clearCachedAttendance } from "../storage/attendanceCache";
+import { clearHistory } from "../storage/attendanceHistory";
+import { clearTimetable } from "../storage/timetable";
+import { getDemoMode, subscribeDemoMode } from "../demo/demoMode";
+import { useFeedback } from "./FeedbackContext";
+import { t } from "../i18n";
+
+// Who is signed in, as a state machine (see auth/sessionMachine). The
+// launch restore, Gmail deep links and the actions below all run through
+// one queue, so a deep link that arrives while the stored session is still
+// loading is applied after it instead of being overwritten by it.
+
+// Session outcomes (restore, sign-in, Gmail, logout) replace one another
+// in the notification queue instead of piling up
+const FEEDBACK = { key: "session" };
+
+const SessionContext = createContext(null);
+
+export const SessionProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(sessionReducer, initialSessionState);
+  const [enqueue] = useState(createSerialQueue);
+  const { showMessage, showInfo, showError, dismiss } = useFeedback();
+
+  // Async actions read the latest session rather than the one they closed over
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // First in the queue, so every later operation sees the restored session
+  useEffect(() => {
+    const restore = async () => {
+      try {
+        const { token, systemId } = await loadSession();
+        const accounts = await loadAccounts();
+        if (token && isTokenExpired(token)) {
+          await clearToken();
+          showError(t("session.expired"), FEEDBACK);
+          dispatch({ type: "restored", systemId, accounts, expired: true });
+        } else {
+          if (token) showMessage(t("session.welcomeBack"), FEEDBACK);
+          dispatch({ type: "restored", systemId, token, accounts });
+        }
+      } catch (err) {
+        console.error("Error loading stored data:", err);
+        dispatch({
+          type: "restored",
+          accounts: initialSessionState.accounts,
+        });
+      }
+    };
+    enqueue(restore);
+  }, []);
+
+  // Keep the shared API client's Authorization header in step with the session
+  useEffect(() => {
+    setAuthToken(state.token);
+  }, [state.token]);
+
+  // The API client clears the stored token on a 401; send the user to login.
+  // A 401 for a session that is no longer current (e.g. a fetch that
+  // finished after switching accounts) has nothing to end here.
+  useEffect(
+    () =>
+      setUnauthorizedHandler((err, { token }) => {
+        const current = stateRef.current;
+        if (current.status !== "authenticated" || current.token !== token) {
+          return;
+        }
+        dispatch({ type: "expired" });
+        showError(t("session.expired"), FEEDBACK);
+      }),
+    []
+  );
+
+  const actions = useMemo(() => {
+    // Wraps an operation so it waits for the ones queued before it
+    const queued =
+      (operation) =>
+      (...args) =>
+        enqueue(() => operation(...args));
+
+    const signIn = async (systemId, token) => {
+      setAuthToken(token);
+      const accounts = await saveAccount(systemId, { token });
+      dispatch({ type: "signedIn", systemId, token, accounts });
+    };
+
+    const signOut = () => {
+      setAuthToken("");
+      dispatch({ type: "signedOut" });
+    };
+
+    const applyGmailOutcome = async (outcome) => {
+      if (outcome.type === "success") {
+        await signIn(outcome.systemId, outcome.token);
+        showMessage(t("session.gmailComplete"), FEEDBACK);
+        return;
+      }
+      dispatch({ type: "failed" });
+      if (outcome.type === "cancel") {
+        showInfo(t("session.gmailCancelled"), FEEDBACK);
+      } else {
+        showError(outcome.message, FEEDBACK);
+      }
+    };
+
+    const hasCredentials = (systemId, password) => {
+      if (systemId.trim() && password.trim()) return true;
+      showError(t("session.missingCredentials"), FEEDBACK);
+      return false;
+    };
+
+    // Shows an empty login form; the other accounts stay signed in
+    const addAccount = () => {
+      dismiss(FEEDBACK.key);
+      setAuthToken("");
+      dispatch({ type: "selected", systemId: "" });
+    };
+
+    const switchAccount = async (systemId) => {
+      dismiss(FEEDBACK.key);
+      const accounts = await setActiveAccount(systemId);
+      dispatch({ type: "accounts", accounts });
+
+      const token = await getAccountToken(systemId);
+      if (token && !isTokenExpired(token)) {
+        setAuthToken(token);
+        dispatch({ type: "signedIn", systemId, token, accounts });
+      } else {
+        if (token) await signOutAccount(systemId);
+        setAuthToken("");
+        dispatch({ type: "selected", systemId });
+        showInfo(t("session.logInToAccount"), FEEDBACK);
+      }
+    };
+
+    const linkGmail = async (systemId) => {
+      dismiss(FEEDBACK.key);
+      if (!systemId.trim()) {
+        showError(t("session.gmailNeedsSystemId"), FEEDBACK);
+        return false;
+      }
+      dispatch({ type: "gmailStarted" });
+      try {
+        await applyGmailOutcome(await startGmailAuth(systemId));
+        return true;
+      } catch (err) {
+        console.error(err);
+        dispatch({ type: "failed" });
+        showError(t("session.gmailStartFailed"), {
+          ...FEEDBACK,
+          action: {
+            label: t("common.retry"),
+            onPress: () => queuedLinkGmail(systemId),
+          },
+        });
+        return false;
+      }
+    };
+    const queuedLinkGmail = queued(linkGmail);
+
+    return {
+      applyGmailOutcome: queued(applyGmailOutcome),
+
+      // Each resolves to true on success; failures are reported as feedback
+      login: queued(async (systemId, password) => {
+        dismiss(FEEDBACK.key);
+        if (!hasCredentials(systemId, password)) return false;
+        dispatch({ type: "loginStarted" });
+        try {
+          await signIn(systemId, await login(systemId, password));
+          showMessage(t("session.loginSuccess"), FEEDBACK);
+          return true;
+        } catch (err) {
+          console.error(err);
+          dispatch({ type: "failed" });
+          showError(getErrorMessage(err, t("session.loginFailed")), FEEDBACK);
+          return false;
+        }
+      }),
+
+      register: queued(async (systemId, password) => {
+        dismiss(FEEDBACK.key);
+        if (!hasCredentials(systemId, password)) return false;
+        try {
+          const data = await register(systemId, password);
+          dispatch({ type: "accounts", accounts: await saveAccount(systemId) });
+          dispatch({ type: "selected", systemId });
+          showMessage(data?.message || t("session.registerSuccess"), FEEDBACK);
+          return true;
+        } catch (err) {
+          console.error(err);
+          showError(
+            getErrorMessage(err, t("session.registerFailed")),
+            FEEDBACK
+          );
+          return false;
+        }
+      }),
+
+      linkGmail: queuedLinkGmail,
+
+      // Only signs out the current account; others keep their sessions
+      logout: queued(async () => {
+        try {
+          await signOutAccount(stateRef.current.systemId);
+          signOut();
+          showMessage(t("session.loggedOut"), FEEDBACK);
+        } catch (err) {
+          console.error(err);
+          showError(t("session.logoutFailed"), FEEDBACK);
+        }
+      }),
+
+      // Drops the session but keeps the system ID so the login form is ready
+      reauthenticate: queued(async () => {
+        await clearToken();
+        signOut();
+        showInfo(t("session.logInAgainPrompt"), FEEDBACK);
+      }),
+
+      addAccount: queued(addAccount),
+      switchAccount: queued(switchAccount),
+
+      renameAccount: queued(async (systemId, label) => {
+        dispatch({
+          type: "accounts",
+          accounts: await renameAccount(systemId, label),
+        });
+      }),
+
+      removeAccount: queued(async (systemId) => {
+        dismiss(FEEDBACK.key);
+        const next = await removeAccount(systemId);
+        await clearCachedAttendance(systemId);
+        await clearHistory(systemId);
+        await clearTimetable(systemId);
+        dispatch({ type: "accounts", accounts: next });
+
+        if (systemId === stateRef.current.systemId) {
+          if (next.activeId) {
+            await switchAccount(next.activeId);
+          } else {
+            addAccount();
+          }
+        }
+        showMessage(t("session.accountRemoved"), FEEDBACK);
+      }),
+    };
+  }, []);
+
+  // Demo accounts are stored apart from real ones, so turning demo mode on
+  // or off shows the other set of saved accounts
+  useEffect(() => {
+    let enabled = getDemoMode().enabled;
+    return subscribeDemoMode((demoMode) => {
+      if (demoMode.enabled === enabled) return;
+      enabled = demoMode.enabled;
+      enqueue(async () => {
+        setAuthToken("");
+        dispatch({ type: "selected", systemId: "" });
+        dispatch({ type: "accounts", accounts: await loadAccounts() });
+      });
+    });
+  }, []);
+
+  // Handle deep linking for Gmail auth callback. Only callbacks carrying
+  // the state of a sign-in started from this app are accepted; the outcome
+  // is applied once the restore and any running action have finished.
+  useEffect(() => {
+    const handleDeepLink = async (event) => {
+      const outcome = await handleGmailDeepLink(event?.url);
+      if (outcome) await actions.applyGmailOutcome(outcome);
+    };
+
+    const subscription = Linking.addEventListener("url", handleDeepLink);
+
+    // Initial URL check (app opened through deep link)
+    Linking.getInitialURL().then((url) => handleDeepLink({ url }));
+
+    return () => subscription.remove();
+  }, [actions]);
+
+  const value = useMemo(() => ({ ...state, ...actions }), [state, actions]);
+
+  return (
+    <SessionContext.Provider value={value}>{children}</SessionContext.Provider>
+  );
+};
+
+export const useSession = () => {
+  const context = useContext(SessionContext);
+  if (!context) {
+    throw new Error("useSession must be used inside a SessionProvider");
+  }
+  return context;
+};
@@ -0,0 +1,136 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useReducer,
+} from "react";
+import { getSetting, setSetting } from "../storage/settings";
+import { DEFAULT_TARGET } from "../lib/threshold";
+import { DEFAULT_COLOR_THRESHOLDS } from "../lib/columnTypes";
+import { DEFAULT_TABLE_VIEW } from "../lib/tableView";
+import { DEFAULT_THEME_MODE, THEME_MODES } from "../theme/themes";
+import {
+  deviceLanguage,
+  getLanguage,
+  isSupportedLanguage,
+  setLanguage,
+} from "../i18n";
+
+// Display preferences shared by the dashboard, subject detail and settings
+// screens, plus the light/dark theme mode and the app language. Every
+// change is written through to the settings store.
+
+export const TARGET_STEP = 5;
+
+const initialState = {
+  target: DEFAULT_TARGET,
+  colorThresholds: DEFAULT_COLOR_THRESHOLDS,
+  tableView: DEFAULT_TABLE_VIEW,
+  themeMode: DEFAULT_THEME_MODE,
+  language: getLanguage(),
+};
+
+const settingsReducer = (state, action) => {
+  switch (action.type) {
+    case "loaded":
+      return { ...state, ...action.settings };
+    case "set":
+      return { ...state, [action.key]: action.value };
+    default:
+      return state;
+  }
+};
+
+const STORAGE_KEYS = {
+  target: "attendanceTarget",
+  colorThresholds: "colorThresholds",
+  tableView: "tableView",
+  themeMode: "themeMode",
+  language: "language",
+};
+
+const SettingsContext = createContext(null);
+
+export const SettingsProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(settingsReducer, initialState);
+
+  useEffect(() => {
+    const load = async () => {
+      const [target, colorThresholds, tableView, themeMode, language] =
+        await Promise.all([
+          getSetting(STORAGE_KEYS.target, DEFAULT_TARGET),
+          getSetting(STORAGE_KEYS.colorThresholds, DEFAULT_COLOR_THRESHOLDS),
+          getSetting(STORAGE_KEYS.tableView, DEFAULT_TABLE_VIEW),
+          getSetting(STORAGE_KEYS.themeMode, DEFAULT_THEME_MODE),
+          getSetting(STORAGE_KEYS.language, deviceLanguage()),
+        ]);
+      const appLanguage = isSupportedLanguage(language)
+        ? language
+        : deviceLanguage();
+      setLanguage(appLanguage);
+      dispatch({
+        type: "loaded",
+        settings: {
+          target,
+          colorThresholds,
+          // Older versions also saved the search text, which is dropped
+          tableView: {
+            sort: tableView.sort ?? DEFAULT_TABLE_VIEW.sort,
+            filter: tableView.filter ?? DEFAULT_TABLE_VIEW.filter,
+          },
+          themeMode: THEME_MODES.includes(themeMode)
+            ? themeMode
+            : DEFAULT_THEME_MODE,
+          language: appLanguage,
+        },
+      });
+    };
+    load();
+  }, []);
+
+  const value = useMemo(() => {
+    const save = (key, value) => {
+      dispatch({ type: "set", key, value });
+      setSetting(STORAGE_KEYS[key], value);
+    };
+
+    return {
+      ...state,
+      setTarget: (target) =>
+        save("target", Math.min(Math.max(target, TARGET_STEP), 100)),
+      // Keeps the red band below the green one
+      setColorThreshold: (band, value) => {
+        const next = { ...state.colorThresholds };
+        next[band] = Math.min(Math.max(value, 0), 100);
+        if (band === "danger") next.safe = Math.max(next.safe, next.danger);
+        if (band === "safe") next.danger = Math.min(next.danger, next.safe);
+        save("colorThresholds", next);
+      },
+      updateTableView: (patch) =>
+        save("tableView", { ...state.tableView, ...patch }),
+      // "system", "light" or "dark"
+      setThemeMode: (mode) => save("themeMode", mode),
+      // "en" or "hi"; the i18n module is switched before React re-renders
+      changeLanguage: (code) => {
+        if (!isSupportedLanguage(code)) return;
+        setLanguage(code);
+        save("language", code);
+      },
+    };
+  }, [state]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error("useSettings must be used inside a SettingsProvider");
+  }
+  return context;
+};
@@ -0,0 +1,75 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import {
+  EMPTY_TIMETABLE,
+  loadTimetable,
+  saveTimetable,
+} from "../storage/timetable";
+import { makeSlot, mergeSlots } from "../lib/timetable";
+import { useSession } from "./SessionContext";
+
+// The active account's weekly timetable and the semester dates used by the
+// forecast. Every change is saved straight away.
+
+const TimetableContext = createContext(null);
+
+export const TimetableProvider = ({ children }) => {
+  const { systemId } = useSession();
+  const [timetable, setTimetable] = useState(EMPTY_TIMETABLE);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTimetable(EMPTY_TIMETABLE);
+    loadTimetable(systemId).then((saved) => {
+      if (!cancelled) setTimetable(saved);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [systemId]);
+
+  const value = useMemo(() => {
+    const update = (patch) => {
+      const next = { ...timetable, ...patch };
+      setTimetable(next);
+      saveTimetable(systemId, next);
+    };
+
+    return {
+      ...timetable,
+      addSlot: (subjectId, weekday, start) =>
+        update({
+          slots: mergeSlots(timetable.slots, [
+            makeSlot(subjectId, weekday, start),
+          ]),
+        }),
+      addSlots: (slots) =>
+        update({ slots: mergeSlots(timetable.slots, slots) }),
+      removeSlot: (id) =>
+        update({ slots: timetable.slots.filter((slot) => slot.id !== id) }),
+      clearSlots: () => update({ slots: [] }),
+      // "YYYY-MM-DD" or null
+      setSemesterEnd: (semesterEnd) => update({ semesterEnd }),
+      setExamCutoff: (examCutoff) => update({ examCutoff }),
+    };
+  }, [systemId, timetable]);
+
+  return (
+    <TimetableContext.Provider value={value}>
+      {children}
+    </TimetableContext.Provider>
+  );
+};
+
+export const useTimetable = () => {
+  const context = useContext(TimetableContext);
+  if (!context) {
+    throw new Error("useTimetable must be used inside a TimetableProvider");
+  }
+  return context;
+};
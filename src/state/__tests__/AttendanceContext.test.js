@@ -0,0 +1,76 @@
+import React from "react";
+import { Alert, Text } from "react-native";
+import * as SecureStore from "expo-secure-store";
+import { fireEvent, screen, waitFor } from "@testing-library/react-native";
+import { installMockBackend } from "../../../jest/mockBackend";
+import { renderWithProviders } from "../../../jest/renderWithProviders";
+import { saveAccount } from "../../storage/secureSession";
+import { EXPIRY_WARNING_MS } from "../../auth/jwt";
+import { useAttendance } from "../AttendanceContext";
+
+let backend;
+
+beforeEach(async () => {
+  backend = installMockBackend({ users: { S1: "secret" } });
+  await saveAccount("S1", { token: backend.issueToken("S1") });
+});
+
+afterEach(() => {
+  backend.restore();
+});
+
+const FetchButton = () => {
+  const { fetchAttendance, subjectRows } = useAttendance();
+  return (
+    <Text onPress={() => fetchAttendance()}>
+      {`Fetch (${subjectRows.length} subjects)`}
+    </Text>
+  );
+};
+
+const expectStatus = (status) =>
+  waitFor(() =>
+    expect(screen.getByTestId("session-status")).toHaveTextContent(status)
+  );
+
+describe("fetchAttendance", () => {
+  it("loads the attendance once the session is restored", async () => {
+    renderWithProviders(<FetchButton />);
+
+    expect(await screen.findByText("Fetch (2 subjects)")).toBeOnTheScreen();
+    expect(backend.requests.map((r) => r.path)).toEqual(["/attendance"]);
+  });
+
+  it("asks about an expiring session only when the user fetches", async () => {
+    const expiresIn = EXPIRY_WARNING_MS / 1000 / 2;
+    await saveAccount("S1", { token: backend.issueToken("S1", { expiresIn }) });
+    const alert = jest.spyOn(Alert, "alert").mockImplementation(() => {});
+    renderWithProviders(<FetchButton />);
+
+    expect(await screen.findByText("Fetch (2 subjects)")).toBeOnTheScreen();
+    expect(alert).not.toHaveBeenCalled();
+
+    fireEvent.press(screen.getByText("Fetch (2 subjects)"));
+    await waitFor(() => expect(alert).toHaveBeenCalledTimes(1));
+  });
+
+  it("moves the session to expired on a 401", async () => {
+    // The rejected fetch is logged
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    renderWithProviders(<FetchButton />);
+    await screen.findByText("Fetch (2 subjects)");
+
+    backend.revokeSessions();
+    fireEvent.press(screen.getByText("Fetch (2 subjects)"));
+
+    expect(
+      await screen.findByText("Your session has expired. Please login again.")
+    ).toBeOnTheScreen();
+    await expectStatus("expired:S1");
+    expect(SecureStore.__store.has("jwtToken_S1")).toBe(false);
+    // The expiry replaces the generic fetch error
+    expect(
+      screen.queryByText("Error fetching attendance. Please try again.")
+    ).not.toBeOnTheScreen();
+  });
+});
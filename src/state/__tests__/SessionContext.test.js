@@ -0,0 +1,131 @@
+import React from "react";
+import { Linking } from "react-native";
+import * as SecureStore from "expo-secure-store";
+import { fireEvent, screen, waitFor } from "@testing-library/react-native";
+import {
+  installMockBackend,
+  leftoverGmailSignIn,
+} from "../../../jest/mockBackend";
+import { renderWithProviders } from "../../../jest/renderWithProviders";
+import { saveAccount } from "../../storage/secureSession";
+import LoginScreen from "../../screens/LoginScreen";
+
+let backend;
+
+beforeEach(() => {
+  backend = installMockBackend({ users: { S1: "secret", S2: "other" } });
+  Linking.getInitialURL.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  backend.restore();
+});
+
+const expectStatus = (status) =>
+  waitFor(() =>
+    expect(screen.getByTestId("session-status")).toHaveTextContent(status)
+  );
+
+const renderLogin = async () => {
+  renderWithProviders(<LoginScreen navigation={{ navigate: jest.fn() }} />);
+  await expectStatus("unauthenticated:");
+};
+
+// Delivers a URL the way Linking does while the app is running
+const openUrl = (url) => Linking.addEventListener.mock.calls.at(-1)[1]({ url });
+
+const logIn = (systemId, password) => {
+  fireEvent.changeText(
+    screen.getByPlaceholderText("Enter your system ID"),
+    systemId
+  );
+  fireEvent.changeText(
+    screen.getByPlaceholderText("Enter your password"),
+    password
+  );
+  fireEvent.press(screen.getByText("Login"));
+};
+
+describe("logging in", () => {
+  it("signs in and saves the session", async () => {
+    await renderLogin();
+    logIn("S1", "secret");
+
+    expect(await screen.findByText("Login successful!")).toBeOnTheScreen();
+    await expectStatus("authenticated:S1");
+    expect(SecureStore.__store.get("jwtToken_S1")).toEqual(expect.any(String));
+  });
+
+  it("says so when the credentials are wrong", async () => {
+    // The failed login is logged
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    await renderLogin();
+    logIn("S1", "wrong");
+
+    expect(
+      await screen.findByText("Incorrect System ID or password.")
+    ).toBeOnTheScreen();
+    await expectStatus("unauthenticated:");
+    expect(SecureStore.__store.has("jwtToken_S1")).toBe(false);
+  });
+
+  it("asks for both fields before calling the backend", async () => {
+    await renderLogin();
+    logIn("S1", " ");
+
+    expect(
+      await screen.findByText("Please provide both system ID and password.")
+    ).toBeOnTheScreen();
+    expect(backend.requests).toHaveLength(0);
+  });
+});
+
+describe("restoring the session", () => {
+  it("signs back in with the stored token", async () => {
+    await saveAccount("S1", { token: backend.issueToken("S1") });
+    renderWithProviders(null);
+
+    await expectStatus("authenticated:S1");
+    expect(await screen.findByText("Welcome back!")).toBeOnTheScreen();
+  });
+});
+
+describe("Gmail deep links", () => {
+  it("signs in with the token from the callback", async () => {
+    const url = await leftoverGmailSignIn(backend, "S2");
+    await renderLogin();
+
+    openUrl(url);
+
+    await expectStatus("authenticated:S2");
+    expect(
+      await screen.findByText("Gmail authentication complete!")
+    ).toBeOnTheScreen();
+  });
+
+  it("applies a launch link after the stored session has loaded", async () => {
+    // S1 is restored from storage while the app was opened by S2's callback
+    await saveAccount("S1", { token: backend.issueToken("S1") });
+    const url = await leftoverGmailSignIn(backend, "S2");
+    Linking.getInitialURL.mockResolvedValue(url);
+
+    renderWithProviders(null);
+
+    await expectStatus("authenticated:S2");
+    expect(SecureStore.__store.get("jwtToken_S2")).toEqual(expect.any(String));
+    expect(JSON.parse(SecureStore.__store.get("accounts")).activeId).toBe("S2");
+  });
+
+  it("rejects a callback the app did not ask for", async () => {
+    await renderLogin();
+
+    openUrl("myattendanceapp://auth/gmail?state=planted&token=abc");
+
+    expect(
+      await screen.findByText(
+        "Gmail sign-in could not be verified. Please try again."
+      )
+    ).toBeOnTheScreen();
+    await expectStatus("unauthenticated:");
+  });
+});
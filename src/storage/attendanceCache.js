@@ -0,0 +1,51 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { formatDateTime } from "../i18n";
+import { accountStorageKey } from "../demo/demoMode";
+
+const CACHE_PREFIX = "attendanceCache:";
+
+const cacheKey = (systemId) => accountStorageKey(`${CACHE_PREFIX}${systemId}`);
+
+// Returns { attendance, fetchedAt } for the given system ID, or null if
+// nothing usable has been cached yet.
+export const loadCachedAttendance = async (systemId) => {
+  if (!systemId) return null;
+
+  try {
+    const raw = await AsyncStorage.getItem(await cacheKey(systemId));
+    if (!raw) return null;
+
+    const cached = JSON.parse(raw);
+    if (!Array.isArray(cached?.attendance) || !cached.fetchedAt) return null;
+
+    return cached;
+  } catch (err) {
+    console.error("Error loading cached attendance:", err);
+    return null;
+  }
+};
+
+export const saveCachedAttendance = async (systemId, attendance) => {
+  const entry = { attendance, fetchedAt: Date.now() };
+  if (!systemId) return entry;
+
+  try {
+    await AsyncStorage.setItem(await cacheKey(systemId), JSON.stringify(entry));
+  } catch (err) {
+    console.error("Error caching attendance:", err);
+  }
+  return entry;
+};
+
+export const clearCachedAttendance = async (systemId) => {
+  if (!systemId) return;
+  await AsyncStorage.removeItem(await cacheKey(systemId));
+};
+
+export const formatTimestamp = (timestamp) =>
+  formatDateTime(timestamp, {
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
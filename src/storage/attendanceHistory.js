@@ -0,0 +1,56 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { accountStorageKey } from "../demo/demoMode";
+
+const HISTORY_PREFIX = "attendanceHistory:";
+
+// Retention limits: keep at most this many snapshots, none older than this
+export const MAX_SNAPSHOTS = 120;
+export const MAX_SNAPSHOT_AGE_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const historyKey = (systemId) =>
+  accountStorageKey(`${HISTORY_PREFIX}${systemId}`);
+
+export const pruneHistory = (snapshots, now = Date.now()) => {
+  const cutoff = now - MAX_SNAPSHOT_AGE_DAYS * DAY_MS;
+  return snapshots
+    .filter((snapshot) => snapshot.fetchedAt >= cutoff)
+    .sort((a, b) => a.fetchedAt - b.fetchedAt)
+    .slice(-MAX_SNAPSHOTS);
+};
+
+// Returns snapshots ({ fetchedAt, attendance }) oldest first
+export const loadHistory = async (systemId) => {
+  if (!systemId) return [];
+
+  try {
+    const raw = await AsyncStorage.getItem(await historyKey(systemId));
+    const snapshots = raw ? JSON.parse(raw) : [];
+    return Array.isArray(snapshots) ? pruneHistory(snapshots) : [];
+  } catch (err) {
+    console.error("Error loading attendance history:", err);
+    return [];
+  }
+};
+
+export const appendSnapshot = async (systemId, attendance, fetchedAt) => {
+  const existing = await loadHistory(systemId);
+  const snapshots = pruneHistory([...existing, { fetchedAt, attendance }]);
+  if (!systemId) return snapshots;
+
+  try {
+    await AsyncStorage.setItem(
+      await historyKey(systemId),
+      JSON.stringify(snapshots)
+    );
+  } catch (err) {
+    console.error("Error saving attendance history:", err);
+  }
+  return snapshots;
+};
+
+export const clearHistory = async (systemId) => {
+  if (!systemId) return;
+  await AsyncStorage.removeItem(await historyKey(systemId));
+};
@@ -0,0 +1,173 @@
+import * as SecureStore from "expo-secure-store";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { createSerialQueue } from "../lib/serialQueue";
+import { accountStorageKey, loadDemoMode } from "../demo/demoMode";
+
+// Saved accounts live in secure storage as a list of { systemId, label }
+// plus the active system ID. Each account's token has its own entry. Demo
+// mode keeps a separate list and tokens (see accountStorageKey).
+const ACCOUNTS_KEY = "accounts";
+const LEGACY_TOKEN_KEY = "jwtToken";
+const LEGACY_SYSTEM_ID_KEY = "systemId";
+const MIGRATED_KEY = "accountsMigrated";
+
+// Readable after the first unlock so the background refresh can use it
+const STORE_OPTIONS = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK,
+};
+
+// Secure store keys may only hold letters, digits, ".", "-" and "_"
+const tokenKey = (systemId) =>
+  accountStorageKey(
+    `jwtToken_${String(systemId).replace(
+      /[^A-Za-z0-9.-]/g,
+      (char) => `_${char.charCodeAt(0).toString(16)}`
+    )}`
+  );
+
+// Changes to the account list read, modify and write it back, so they run
+// one at a time; two at once would lose one of the updates
+const queueWrite = createSerialQueue();
+
+const readItem = (key) => SecureStore.getItemAsync(key, STORE_OPTIONS);
+
+const writeItem = (key, value) =>
+  value
+    ? SecureStore.setItemAsync(key, value, STORE_OPTIONS)
+    : SecureStore.deleteItemAsync(key, STORE_OPTIONS);
+
+export const loadAccounts = async () => {
+  try {
+    const raw = await readItem(await accountStorageKey(ACCOUNTS_KEY));
+    const saved = raw ? JSON.parse(raw) : null;
+    return {
+      activeId: saved?.activeId || null,
+      accounts: Array.isArray(saved?.accounts) ? saved.accounts : [],
+    };
+  } catch (err) {
+    console.error("Error loading saved accounts:", err);
+    return { activeId: null, accounts: [] };
+  }
+};
+
+const saveAccounts = async (state) =>
+  writeItem(await accountStorageKey(ACCOUNTS_KEY), JSON.stringify(state));
+
+export const getAccountToken = async (systemId) =>
+  readItem(await tokenKey(systemId));
+
+// Adds or updates an account and makes it active. The token is only
+// replaced when one is given, and is written before the list points at it
+// so an interrupted save never leaves an active account without its token.
+export const saveAccount = (systemId, { token, label } = {}) =>
+  queueWrite(async () => {
+    if (token) await writeItem(await tokenKey(systemId), token);
+    const state = await loadAccounts();
+    const existing = state.accounts.find((a) => a.systemId === systemId);
+    const account = {
+      systemId,
+      label: label || existing?.label || systemId,
+    };
+
+    const accounts = existing
+      ? state.accounts.map((a) => (a.systemId === systemId ? account : a))
+      : [...state.accounts, account];
+    await saveAccounts({ activeId: systemId, accounts });
+    return { activeId: systemId, accounts };
+  });
+
+export const setActiveAccount = (systemId) =>
+  queueWrite(async () => {
+    const state = await loadAccounts();
+    await saveAccounts({ ...state, activeId: systemId });
+    return { ...state, activeId: systemId };
+  });
+
+export const renameAccount = (systemId, label) =>
+  queueWrite(async () => {
+    const state = await loadAccounts();
+    const accounts = state.accounts.map((a) =>
+      a.systemId === systemId ? { ...a, label: label || systemId } : a
+    );
+    await saveAccounts({ ...state, accounts });
+    return { ...state, accounts };
+  });
+
+// Signs one account out; it stays in the list for quick login later
+export const signOutAccount = async (systemId) =>
+  writeItem(await tokenKey(systemId), null);
+
+// Forgets an account entirely (cached attendance is cleared separately)
+export const removeAccount = (systemId) =>
+  queueWrite(async () => {
+    await signOutAccount(systemId);
+    const state = await loadAccounts();
+    const accounts = state.accounts.filter((a) => a.systemId !== systemId);
+    const activeId =
+      state.activeId === systemId
+        ? accounts[0]?.systemId || null
+        : state.activeId;
+    await saveAccounts({ activeId, accounts });
+    return { activeId, accounts };
+  });
+
+// Signs out whichever account is active
+export const clearToken = () =>
+  queueWrite(async () => {
+    const { activeId } = await loadAccounts();
+    if (activeId) await signOutAccount(activeId);
+  });
+
+// Signs out the saved account holding `token`, which need not be the active
+// one: a request may fail after the user has switched accounts. Resolves
+// to that account's system ID, or null if no account holds the token.
+export const signOutToken = (token) =>
+  queueWrite(async () => {
+    const { accounts } = await loadAccounts();
+    for (const { systemId } of accounts) {
+      if ((await getAccountToken(systemId)) === token) {
+        await signOutAccount(systemId);
+        return systemId;
+      }
+    }
+    return null;
+  });
+
+// Earlier versions kept a single session, first in plain AsyncStorage and
+// then as one secure entry. Moves either into the saved accounts once, and
+// never into the demo accounts.
+export const migrateLegacySession = async () => {
+  if ((await loadDemoMode()).enabled) return;
+  if (await AsyncStorage.getItem(MIGRATED_KEY)) return;
+
+  const [plainToken, plainSystemId, secureToken, secureSystemId] =
+    await Promise.all([
+      AsyncStorage.getItem(LEGACY_TOKEN_KEY),
+      AsyncStorage.getItem(LEGACY_SYSTEM_ID_KEY),
+      readItem(LEGACY_TOKEN_KEY),
+      readItem(LEGACY_SYSTEM_ID_KEY),
+    ]);
+  const token = secureToken || plainToken;
+  const systemId = secureSystemId || plainSystemId;
+
+  if (systemId) await saveAccount(systemId, { token });
+
+  await AsyncStorage.multiRemove([LEGACY_TOKEN_KEY, LEGACY_SYSTEM_ID_KEY]);
+  await writeItem(LEGACY_TOKEN_KEY, null);
+  await writeItem(LEGACY_SYSTEM_ID_KEY, null);
+  await AsyncStorage.setItem(MIGRATED_KEY, "1");
+};
+
+// Session of the active account after migrating any legacy copy:
+// { token, systemId }
+export const loadSession = async () => {
+  try {
+    await migrateLegacySession();
+  } catch (err) {
+    console.error("Error migrating stored session:", err);
+  }
+
+  const { activeId } = await loadAccounts();
+  const token = activeId ? await getAccountToken(activeId) : null;
+  return { token, systemId: activeId };
+};
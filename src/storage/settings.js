@@ -0,0 +1,25 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const SETTINGS_PREFIX = "settings:";
+
+// Small JSON-valued key/value store for user preferences
+export const getSetting = async (key, fallback) => {
+  try {
+    const raw = await AsyncStorage.getItem(`${SETTINGS_PREFIX}${key}`);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.error(`Error loading setting "${key}":`, err);
+    return fallback;
+  }
+};
+
+export const setSetting = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(
+      `${SETTINGS_PREFIX}${key}`,
+      JSON.stringify(value)
+    );
+  } catch (err) {
+    console.error(`Error saving setting "${key}":`, err);
+  }
+};
@@ -0,0 +1,50 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { accountStorageKey } from "../demo/demoMode";
+
+const TIMETABLE_PREFIX = "timetable:";
+
+const timetableKey = (systemId) =>
+  accountStorageKey(`${TIMETABLE_PREFIX}${systemId}`);
+
+// A weekly timetable per account:
+//   { slots: [{ id, subjectId, weekday, start }], semesterEnd, examCutoff }
+// weekday is 0 for Monday to 6 for Sunday, start is "HH:MM" and the two
+// dates are "YYYY-MM-DD" or null.
+export const EMPTY_TIMETABLE = {
+  slots: [],
+  semesterEnd: null,
+  examCutoff: null,
+};
+
+export const loadTimetable = async (systemId) => {
+  if (!systemId) return EMPTY_TIMETABLE;
+
+  try {
+    const raw = await AsyncStorage.getItem(await timetableKey(systemId));
+    const saved = raw ? JSON.parse(raw) : null;
+    if (!Array.isArray(saved?.slots)) return EMPTY_TIMETABLE;
+
+    return { ...EMPTY_TIMETABLE, ...saved };
+  } catch (err) {
+    console.error("Error loading timetable:", err);
+    return EMPTY_TIMETABLE;
+  }
+};
+
+export const saveTimetable = async (systemId, timetable) => {
+  if (!systemId) return;
+
+  try {
+    await AsyncStorage.setItem(
+      await timetableKey(systemId),
+      JSON.stringify(timetable)
+    );
+  } catch (err) {
+    console.error("Error saving timetable:", err);
+  }
+};
+
+export const clearTimetable = async (systemId) => {
+  if (!systemId) return;
+  await AsyncStorage.removeItem(await timetableKey(systemId));
+};
@@ -0,0 +1,104 @@
+import { StyleSheet } from "react-native";
+import { useThemedStyles } from "../theme/useThemedStyles";
+
+// Styles shared by several screens: the cards on the gradient, form inputs
+// and the full-width action buttons. Screens get them for the current
+// theme from useCommonStyles().
+export const createCommonStyles = ({ colors }) =>
+  StyleSheet.create({
+    card: {
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 20,
+      marginBottom: 20,
+      shadowColor: "#000",
+      shadowOffset: { width: 0, height: 4 },
+      shadowOpacity: 0.2,
+      shadowRadius: 8,
+      elevation: 5,
+    },
+    cardTitle: {
+      fontSize: 18,
+      fontWeight: "600",
+      color: colors.text,
+      marginBottom: 12,
+    },
+    inputContainer: {
+      marginBottom: 20,
+    },
+    inputLabel: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.text,
+      marginBottom: 8,
+    },
+    inputWrapper: {
+      flexDirection: "row",
+      alignItems: "center",
+      borderWidth: 1,
+      borderColor: colors.inputBorder,
+      borderRadius: 8,
+      backgroundColor: colors.inputBackground,
+    },
+    inputIcon: {
+      paddingHorizontal: 12,
+    },
+    input: {
+      flex: 1,
+      height: 50,
+      fontSize: 16,
+      color: colors.text,
+      paddingRight: 12,
+    },
+    eyeIcon: {
+      padding: 12,
+    },
+    button: {
+      borderRadius: 8,
+      height: 50,
+      justifyContent: "center",
+      alignItems: "center",
+      shadowColor: "#000",
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    buttonContent: {
+      flexDirection: "row",
+      alignItems: "center",
+      justifyContent: "center",
+    },
+    buttonText: {
+      fontSize: 16,
+      fontWeight: "600",
+      color: colors.onAccent,
+      marginLeft: 8,
+    },
+    primaryButton: {
+      backgroundColor: colors.accentBright,
+      width: "100%",
+    },
+    linkButton: {
+      alignItems: "center",
+      paddingVertical: 12,
+    },
+    linkText: {
+      fontSize: 14,
+      fontWeight: "600",
+      color: colors.accent,
+    },
+    row: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 12,
+    },
+    rowLabel: {
+      fontSize: 14,
+      color: colors.text,
+      fontWeight: "600",
+    },
+  });
+
+export const useCommonStyles = () => useThemedStyles(createCommonStyles);
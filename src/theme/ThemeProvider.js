@@ -0,0 +1,25 @@
+import React, { useEffect } from "react";
+import { useColorScheme } from "react-native";
+import { PaperProvider } from "react-native-paper";
+import * as SystemUI from "expo-system-ui";
+import { useSettings } from "../state/SettingsContext";
+import { lightTheme, darkTheme } from "./themes";
+
+// Picks the light or dark theme from the saved mode, following the device
+// setting when the mode is "system".
+export const ThemeProvider = ({ children }) => {
+  const { themeMode } = useSettings();
+  const scheme = useColorScheme();
+  const dark =
+    themeMode === "dark" || (themeMode === "system" && scheme === "dark");
+  const theme = dark ? darkTheme : lightTheme;
+
+  // The native root view shows behind screen transitions and the keyboard
+  useEffect(() => {
+    SystemUI.setBackgroundColorAsync(theme.colors.header).catch((err) =>
+      console.error("Error setting the root background:", err)
+    );
+  }, [theme]);
+
+  return <PaperProvider theme={theme}>{children}</PaperProvider>;
+};
@@ -0,0 +1,179 @@
+import { MD3LightTheme, MD3DarkTheme } from "react-native-paper";
+
+// App palettes on top of the react-native-paper MD3 themes. Components read
+// `theme.colors` through useTheme() instead of hard-coding colors; the
+// Paper keys (primary, surface, ...) are set so Paper's own components
+// match the app.
+
+export const THEME_MODES = ["system", "light", "dark"];
+export const DEFAULT_THEME_MODE = "system";
+
+const lightColors = {
+  // Navigation header and screen background
+  header: "#1e3a8a",
+  onHeader: "#ffffff",
+  onHeaderMuted: "#e2e8f0",
+  gradient: ["#1e3a8a", "#3b82f6"],
+  statusPill: "rgba(255, 255, 255, 0.15)",
+
+  // Cards, text and form fields
+  card: "rgba(255, 255, 255, 0.95)",
+  text: "#334155",
+  textStrong: "#1e293b",
+  textMuted: "#64748b",
+  textSubtle: "#94a3b8",
+  border: "#e2e8f0",
+  inputBorder: "#cbd5e1",
+  inputBackground: "#f8fafc",
+  subtleBackground: "#f1f5f9",
+  selectedBackground: "#f0f9ff",
+
+  // Links, buttons and other actions
+  accent: "#1e40af",
+  accentBright: "#3b82f6",
+  accentSoft: "#dbeafe",
+  onAccent: "#ffffff",
+  secondaryButton: "#0f766e",
+  gmailButton: "#ef4444",
+  destructive: "#ef4444",
+
+  // Success and error messages
+  success: "#10b981",
+  successBackground: "rgba(16, 185, 129, 0.1)",
+  error: "#ef4444",
+  errorBackground: "rgba(239, 68, 68, 0.1)",
+  caution: "#b45309",
+  cautionBackground: "rgba(245, 158, 11, 0.15)",
+  changedCell: "rgba(250, 204, 21, 0.25)",
+
+  // Notification snackbars, tinted by severity
+  snackbar: {
+    background: "#ffffff",
+    text: "#1e293b",
+    success: "#059669",
+    info: "#1e40af",
+    warning: "#b45309",
+    error: "#dc2626",
+  },
+
+  // Attendance table
+  tableHeader: "#1e40af",
+  tableHeaderBorder: "#1e3a8a",
+  row: "#ffffff",
+  rowAlt: "#f8fafc",
+
+  // Percentage colour bands and threshold badges
+  percent: { danger: "#dc2626", warning: "#d97706", safe: "#059669" },
+  badge: {
+    safe: { background: "rgba(16, 185, 129, 0.15)", text: "#047857" },
+    edge: { background: "rgba(245, 158, 11, 0.15)", text: "#b45309" },
+    below: { background: "rgba(239, 68, 68, 0.15)", text: "#b91c1c" },
+  },
+
+  // Charts and the lecture calendar
+  chartLine: "#3b82f6",
+  chartTarget: "#f59e0b",
+  chartBackground: "#f8fafc",
+  lecture: {
+    present: "#10b981",
+    mixed: "#f59e0b",
+    absent: "#ef4444",
+    other: "#94a3b8",
+  },
+
+  // Server status dot in the login header
+  serverStatus: {
+    unknown: "#cbd5e1",
+    waking: "#fbbf24",
+    online: "#34d399",
+    unreachable: "#f87171",
+  },
+};
+
+const darkColors = {
+  header: "#0f172a",
+  onHeader: "#f8fafc",
+  onHeaderMuted: "#cbd5e1",
+  gradient: ["#0f172a", "#1e293b"],
+  statusPill: "rgba(255, 255, 255, 0.1)",
+
+  card: "rgba(30, 41, 59, 0.95)",
+  text: "#e2e8f0",
+  textStrong: "#f8fafc",
+  textMuted: "#94a3b8",
+  textSubtle: "#64748b",
+  border: "#334155",
+  inputBorder: "#475569",
+  inputBackground: "#0f172a",
+  subtleBackground: "#334155",
+  selectedBackground: "#172554",
+
+  accent: "#93c5fd",
+  accentBright: "#3b82f6",
+  accentSoft: "#1e3a8a",
+  onAccent: "#ffffff",
+  secondaryButton: "#0d9488",
+  gmailButton: "#dc2626",
+  destructive: "#f87171",
+
+  success: "#34d399",
+  successBackground: "rgba(52, 211, 153, 0.15)",
+  error: "#f87171",
+  errorBackground: "rgba(248, 113, 113, 0.15)",
+  caution: "#fbbf24",
+  cautionBackground: "rgba(251, 191, 36, 0.15)",
+  changedCell: "rgba(250, 204, 21, 0.2)",
+
+  snackbar: {
+    background: "#1e293b",
+    text: "#f8fafc",
+    success: "#34d399",
+    info: "#93c5fd",
+    warning: "#fbbf24",
+    error: "#f87171",
+  },
+
+  tableHeader: "#1e3a8a",
+  tableHeaderBorder: "#172554",
+  row: "#1e293b",
+  rowAlt: "#0f172a",
+
+  percent: { danger: "#f87171", warning: "#fbbf24", safe: "#34d399" },
+  badge: {
+    safe: { background: "rgba(52, 211, 153, 0.15)", text: "#6ee7b7" },
+    edge: { background: "rgba(251, 191, 36, 0.15)", text: "#fcd34d" },
+    below: { background: "rgba(248, 113, 113, 0.15)", text: "#fca5a5" },
+  },
+
+  chartLine: "#60a5fa",
+  chartTarget: "#fbbf24",
+  chartBackground: "#0f172a",
+  lecture: {
+    present: "#10b981",
+    mixed: "#f59e0b",
+    absent: "#ef4444",
+    other: "#64748b",
+  },
+
+  serverStatus: lightColors.serverStatus,
+};
+
+const withPaperColors = (base, colors) => ({
+  ...base,
+  colors: {
+    ...base.colors,
+    primary: colors.accentBright,
+    onPrimary: colors.onAccent,
+    secondaryContainer: colors.accentSoft,
+    onSecondaryContainer: colors.accent,
+    background: colors.header,
+    surface: colors.card,
+    onSurface: colors.text,
+    onSurfaceVariant: colors.textMuted,
+    outline: colors.inputBorder,
+    ...colors,
+  },
+});
+
+export const lightTheme = withPaperColors(MD3LightTheme, lightColors);
+export const darkTheme = withPaperColors(MD3DarkTheme, darkColors);
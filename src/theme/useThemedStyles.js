@@ -0,0 +1,10 @@
+import { useMemo } from "react";
+import { useTheme } from "react-native-paper";
+
+// Builds a component's styles from the current theme. `createStyles` is a
+// module-level (theme) => StyleSheet.create(...) function, so the sheet is
+// only rebuilt when the theme changes.
+export const useThemedStyles = (createStyles) => {
+  const theme = useTheme();
+  return useMemo(() => createStyles(theme), [createStyles, theme]);
+};